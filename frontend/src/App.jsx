@@ -2,26 +2,44 @@ import React, { useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
 import { Lobby } from './components/Lobby';
 import { GameView } from './components/GameView';
-import { Scoreboard } from './components/Scoreboard';
+import { GameOverView } from './components/GameOverView';
+import { ChatPanel } from './components/ChatPanel';
 
-// Initialize socket outside component to prevent reconnects
-const socket = io();
+// Secret issued in join_success - proves we own the player ID when rejoining after a reconnect
+const getSessionToken = () => {
+  const savedSession = localStorage.getItem('got_session');
+  return savedSession ? JSON.parse(savedSession).sessionToken : undefined;
+};
+
+// Initialize socket outside component to prevent reconnects.
+// auth is re-read on every (re)connect so the server can heal our connection.
+const socket = io({ auth: (cb) => cb({ sessionToken: getSessionToken() }) });
 
 function App() {
   const [gameState, setGameState] = useState(null);
   const [selfId, setSelfId] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [requestError, setRequestError] = useState(null);
 
   useEffect(() => {
+    const onRemovedFromRoom = () => {
+      localStorage.removeItem('got_session');
+      setSelfId(null);
+      setGameState(null);
+    };
+
     const onConnect = () => {
       setConnected(true);
 
       // Check for saved session
       const savedSession = localStorage.getItem('got_session');
       if (savedSession) {
-        const { id } = JSON.parse(savedSession);
-        console.log('Attempting to rejoin with ID:', id);
-        socket.emit('rejoin_game', { playerId: id });
+        const { id, roomCode, sessionToken } = JSON.parse(savedSession);
+        console.log(`Attempting to rejoin room ${roomCode} with ID:`, id);
+        socket.emit('rejoin_game', { roomCode, playerId: id, sessionToken }, ({ ok }) => {
+          // Room is gone or we were removed while away
+          if (!ok) onRemovedFromRoom();
+        });
       }
     };
 
@@ -41,24 +59,40 @@ function App() {
       localStorage.setItem('got_session', JSON.stringify(player));
     });
 
-    socket.on('rejoin_failed', () => {
-      localStorage.removeItem('got_session');
-      setSelfId(null);
+    socket.on('kicked', onRemovedFromRoom);
+
+    // The server rejected something we sent (bad input or too many requests)
+    socket.on('request_error', ({ message }) => {
+      setRequestError(message);
     });
 
     socket.on('state_update', (state) => {
-      setGameState(state);
+      // Remember how far our clock is from the server's so countdowns line up
+      setGameState({ ...state, clockOffset: state.serverTime - Date.now() });
     });
 
     return () => {
       socket.off('connect');
       socket.off('disconnect');
       socket.off('join_success');
-      socket.off('rejoin_failed');
+      socket.off('kicked');
       socket.off('state_update');
+      socket.off('request_error');
     };
   }, []);
 
+  useEffect(() => {
+    if (!requestError) return;
+    const timer = setTimeout(() => setRequestError(null), 4000);
+    return () => clearTimeout(timer);
+  }, [requestError]);
+
+  const errorToast = requestError && (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 px-5 py-2 rounded-full bg-red-500/90 text-white font-bold shadow-2xl animate-bounce-in">
+      {requestError}
+    </div>
+  );
+
   if (!connected) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -67,24 +101,48 @@ function App() {
     );
   }
 
+  // Not in a room yet: show the create/join screen
   if (!gameState) {
     return (
-      <div className="flex items-center justify-center min-h-screen">
-        <div className="animate-spin text-4xl">🌀</div>
+      <div className="min-h-screen p-4 md:p-8 flex flex-col">
+        {errorToast}
+        <Lobby socket={socket} players={[]} selfId={selfId} />
       </div>
     );
   }
 
   return (
     <div className="min-h-screen p-4 md:p-8 flex flex-col">
+      {errorToast}
       {gameState.status === 'LOBBY' && (
-        <Lobby socket={socket} players={gameState.players} selfId={selfId} />
+        <Lobby
+          socket={socket}
+          players={gameState.players}
+          spectators={gameState.spectators}
+          selfId={selfId}
+          roomCode={gameState.code}
+          hostId={gameState.hostId}
+          settings={gameState.settings}
+          selectedPacks={gameState.selectedPacks}
+          customPack={gameState.customPack}
+          promptQueueCount={gameState.promptQueueCount}
+          myQueuedPrompts={gameState.myQueuedPrompts}
+        />
       )}
 
-      {(gameState.status === 'WRITING' || gameState.status === 'READING' || gameState.status === 'GUESSING' || gameState.status === 'ROUND_OVER') && (
+      {(gameState.status === 'PROMPT_SELECT' || gameState.status === 'WRITING' || gameState.status === 'READING' || gameState.status === 'GUESSING' || gameState.status === 'ROUND_OVER' || gameState.status === 'VOTING') && (
         <GameView socket={socket} gameState={gameState} selfId={selfId} />
       )}
 
+      {/* Mounted here rather than in GameView so it stays open across phases (and over the recap) */}
+      {gameState.status !== 'LOBBY' && gameState.status !== 'GAME_OVER' && gameState.players.some(p => p.id === selfId) && (
+        <ChatPanel socket={socket} chat={gameState.chat} status={gameState.status} selfId={selfId} />
+      )}
+
+      {gameState.status === 'GAME_OVER' && (
+        <GameOverView socket={socket} gameState={gameState} selfId={selfId} />
+      )}
+
 
 
       {/* Debug Info (Optional) */}
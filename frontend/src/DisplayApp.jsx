@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { io } from 'socket.io-client';
+import { DisplayView } from './components/DisplayView';
+import { useJoinUrl } from './hooks/useJoinUrl';
+import { useNarratorPrefs, useNarration } from './hooks/useNarrator';
+
+// The TV view watches a room without joining it, so it needs no session token
+const socket = io();
+
+const getSavedRoom = () => (
+  new URLSearchParams(window.location.search).get('room') || localStorage.getItem('got_display_room') || ''
+).toUpperCase();
+
+// Shared-screen app served at /display (see main.jsx)
+function DisplayApp() {
+  const [roomCode, setRoomCode] = useState(getSavedRoom);
+  const [codeInput, setCodeInput] = useState('');
+  const [gameState, setGameState] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastGuess, setLastGuess] = useState(null);
+  const joinUrl = useJoinUrl(gameState?.code);
+
+  // Narrator mode 'display': this screen reads the prompt and answers aloud
+  const narrator = useNarratorPrefs();
+  useNarration({
+    enabled: gameState?.settings.narrator === 'display',
+    status: gameState?.status,
+    currentRound: gameState?.currentRound || { prompt: '', answers: [] },
+    speak: narrator.speak
+  });
+
+  useEffect(() => {
+    const onConnect = () => setConnected(true);
+    const onDisconnect = () => setConnected(false);
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    if (socket.connected) onConnect();
+
+    socket.on('state_update', (state) => {
+      setGameState({ ...state, clockOffset: state.serverTime - Date.now() });
+    });
+
+    socket.on('guess_result', (result) => {
+      if (result.success) setLastGuess({ correct: result.correct, message: result.message });
+    });
+
+    return () => {
+      // Only our own connect handler - the watch effect below has one too
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      socket.off('state_update');
+      socket.off('guess_result');
+    };
+  }, []);
+
+  // (Re)start watching whenever we (re)connect
+  useEffect(() => {
+    if (!roomCode) return;
+
+    const watch = () => {
+      socket.emit('watch_room', { roomCode }, ({ ok, error }) => {
+        if (ok) {
+          localStorage.setItem('got_display_room', roomCode);
+          return;
+        }
+        // Room is gone - back to the code screen
+        localStorage.removeItem('got_display_room');
+        setError(error);
+        setRoomCode('');
+        setGameState(null);
+      });
+    };
+
+    socket.on('connect', watch);
+    if (socket.connected) watch();
+    return () => {
+      socket.off('connect', watch);
+    };
+  }, [roomCode]);
+
+  useEffect(() => {
+    if (!lastGuess) return;
+    const timer = setTimeout(() => setLastGuess(null), 3000);
+    return () => clearTimeout(timer);
+  }, [lastGuess]);
+
+  const handleWatch = () => {
+    if (!codeInput.trim()) return;
+    setError(null);
+    setRoomCode(codeInput.trim().toUpperCase());
+  };
+
+  if (!connected) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-pulse text-xl font-bold">Connecting to server...</div>
+      </div>
+    );
+  }
+
+  if (!roomCode || !gameState) {
+    return (
+      <div className="min-h-screen p-8 flex items-center justify-center">
+        <div className="glass-panel p-8 w-full max-w-md space-y-4 text-center animate-fade-in">
+          <h1 className="text-3xl font-black">Show a game on this screen</h1>
+          <p className="text-white/60">Enter the room code from one of the players' phones.</p>
+          <input
+            type="text"
+            value={codeInput}
+            onChange={e => setCodeInput(e.target.value.toUpperCase())}
+            onKeyDown={e => e.key === 'Enter' && handleWatch()}
+            className="input-field text-center text-2xl font-mono font-bold tracking-[0.3em] uppercase"
+            placeholder="CODE"
+            maxLength={4}
+          />
+          <button onClick={handleWatch} disabled={!codeInput.trim() || !!roomCode} className="btn-primary w-full text-lg">
+            Watch
+          </button>
+          {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-8 flex flex-col">
+      <DisplayView socket={socket} gameState={gameState} joinUrl={joinUrl} lastGuess={lastGuess} narrator={narrator} />
+    </div>
+  );
+}
+
+export default DisplayApp;
@@ -0,0 +1,44 @@
+import React from 'react';
+import clsx from 'clsx';
+import { REACTION_EMOJIS, tallyReactions } from '../utils/reactions';
+
+// Emoji reactions on a revealed answer. Without onReact it's just the tally (e.g. in the recap).
+export function AnswerReactions({ reactions = {}, selfId, onReact, disabled }) {
+    if (!onReact) {
+        const tally = tallyReactions(reactions);
+        if (tally.length === 0) return null;
+        return (
+            <div className="flex flex-wrap gap-1.5">
+                {tally.map(([emoji, count]) => (
+                    <span key={emoji} className="px-2 py-0.5 rounded-full bg-white/10 text-sm">
+                        {emoji} <span className="font-bold">{count}</span>
+                    </span>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-wrap gap-1.5">
+            {REACTION_EMOJIS.map(emoji => {
+                const reactors = reactions[emoji] || [];
+                const mine = reactors.includes(selfId);
+                return (
+                    <button
+                        key={emoji}
+                        // Answer cards are clickable for guessing - don't select the card too
+                        onClick={(e) => { e.stopPropagation(); onReact(emoji); }}
+                        disabled={disabled}
+                        className={clsx(
+                            "px-2 py-0.5 rounded-full text-sm transition-all disabled:cursor-not-allowed",
+                            mine ? "bg-pink-500/30 ring-1 ring-pink-400" : "bg-white/5 hover:bg-white/15",
+                            reactors.length === 0 && !mine && "opacity-50 hover:opacity-100"
+                        )}
+                    >
+                        {emoji}{reactors.length > 0 && <span className="ml-1 font-bold">{reactors.length}</span>}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
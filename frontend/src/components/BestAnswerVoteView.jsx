@@ -0,0 +1,71 @@
+import React from 'react';
+import clsx from 'clsx';
+import { Countdown } from './Countdown';
+import { useSocketAction } from '../hooks/useSocketAction';
+import { countVoted } from '../utils/voting';
+
+// VOTING phase: everyone picks the funniest answer of the round (never their own).
+// Votes are secret until counted - we only learn who has voted and what we picked.
+export function BestAnswerVoteView({ socket, gameState, selfId }) {
+    const { currentRound, players, settings, hostId } = gameState;
+    const { send, pending, error } = useSocketAction(socket);
+
+    const myVote = currentRound.myBestAnswerVote;
+    const canVote = players.some(p => p.id === selfId);
+    const isHost = !!selfId && hostId === selfId;
+
+    const handleVote = (answerId) => {
+        send('vote_best_answer', { playerId: selfId, answerId });
+    };
+
+    const handleClose = () => {
+        send('next_round', { playerId: selfId });
+    };
+
+    return (
+        <div className="glass-panel w-full p-8 text-center space-y-6">
+            <div className="space-y-2">
+                <h3 className="text-xl font-bold text-pink-400 uppercase tracking-widest">Vote for the Best Answer</h3>
+                <p className="text-2xl font-bold">"{currentRound.prompt}"</p>
+                <p className="text-sm text-white/60">
+                    {countVoted(currentRound)} / {currentRound.eligibleVoterIds.length} voted
+                    {settings.bestAnswerBonus > 0 && <> · the winner (every one, if tied) gets +{settings.bestAnswerBonus}</>}
+                </p>
+                {gameState.phaseDeadline && (
+                    <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} />
+                )}
+            </div>
+
+            <div className="grid gap-3">
+                {currentRound.answers.map(ans => (
+                    <button
+                        key={ans.id}
+                        onClick={() => handleVote(ans.id)}
+                        disabled={!canVote || ans.isMine || pending}
+                        className={clsx(
+                            "p-4 rounded-xl border text-lg font-medium transition-all relative disabled:cursor-default",
+                            myVote === ans.id
+                                ? "bg-cyan-500/20 border-cyan-500 ring-2 ring-cyan-500"
+                                : ans.isMine
+                                    ? "bg-white/5 border-white/10 opacity-50"
+                                    : canVote
+                                        ? "bg-white/5 border-2 border-dashed border-white/30 hover:border-cyan-400 hover:bg-cyan-500/10 hover:scale-[1.02]"
+                                        : "bg-white/5 border-white/10"
+                        )}
+                    >
+                        {ans.text}
+                        {ans.isMine && <span className="block text-xs uppercase tracking-wider text-white/50 mt-1">Your answer</span>}
+                    </button>
+                ))}
+            </div>
+
+            {isHost && (
+                <button onClick={handleClose} disabled={pending} className="text-sm text-pink-400 hover:text-pink-300 underline">
+                    Close voting now
+                </button>
+            )}
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from 'react';
+import clsx from 'clsx';
+import { Avatar } from './Avatar';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+// Text chat for remote games. Sits above the recap overlay (and clear of its bottom bar)
+// so it's usable between rounds too.
+export function ChatPanel({ socket, chat = [], status, selfId }) {
+    const [open, setOpen] = useState(false);
+    const [text, setText] = useState('');
+    // Whatever was said before we got here doesn't count as unread
+    const [lastSeenId, setLastSeenId] = useState(() => chat[chat.length - 1]?.id || null);
+    const listRef = useRef(null);
+    const { send, pending, error } = useSocketAction(socket);
+
+    // The server refuses messages during WRITING (they could give answers away)
+    const paused = status === 'WRITING';
+    const latestId = chat[chat.length - 1]?.id || null;
+    const unread = open ? 0 : chat.length - 1 - chat.findIndex(m => m.id === lastSeenId);
+
+    useEffect(() => {
+        if (open && listRef.current) {
+            listRef.current.scrollTop = listRef.current.scrollHeight;
+        }
+    }, [open, latestId]);
+
+    const toggle = () => {
+        setLastSeenId(latestId);
+        setOpen(!open);
+    };
+
+    const handleSend = async () => {
+        if (!text.trim() || paused) return;
+        const { ok } = await send('send_chat', { playerId: selfId, text });
+        if (ok) setText('');
+    };
+
+    return (
+        <div className="fixed bottom-24 right-4 z-[110] flex flex-col items-end">
+            {open && (
+                <div className="glass-panel mb-3 w-80 max-w-[calc(100vw-2rem)] bg-black/60 flex flex-col animate-pop-in">
+                    <div ref={listRef} className="h-64 overflow-y-auto custom-scrollbar p-3 space-y-2">
+                        {chat.length === 0 && <p className="text-sm text-white/40 italic text-center pt-8">No messages yet</p>}
+                        {chat.map(m => {
+                            const mine = m.playerId === selfId;
+                            return (
+                                <div key={m.id} className={clsx("flex items-end gap-2", mine && "flex-row-reverse")}>
+                                    <Avatar seed={m.avatar} size="xs" />
+                                    <div className={clsx("px-3 py-1.5 rounded-2xl text-sm max-w-[75%] break-words", mine ? "bg-pink-500/30" : "bg-white/10")}>
+                                        {!mine && <p className="text-xs font-bold text-pink-300">{m.name}</p>}
+                                        <p>{m.text}</p>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className="border-t border-white/10 p-3 space-y-2">
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={text}
+                                onChange={e => setText(e.target.value)}
+                                onKeyDown={e => e.key === 'Enter' && handleSend()}
+                                disabled={paused}
+                                maxLength={200}
+                                placeholder={paused ? 'Chat is paused while everyone writes' : 'Say something...'}
+                                className="input-field text-sm py-2 flex-1 min-w-0 disabled:opacity-50"
+                            />
+                            <button onClick={handleSend} disabled={paused || pending || !text.trim()} className="btn-primary text-sm px-4 py-2 shrink-0">
+                                Send
+                            </button>
+                        </div>
+                        {error && <p className="text-xs text-red-300">{error}</p>}
+                    </div>
+                </div>
+            )}
+
+            <button
+                onClick={toggle}
+                className="relative px-4 py-2 rounded-full bg-white/10 border border-white/20 font-bold shadow-xl backdrop-blur-md"
+            >
+                💬 {open ? 'Close' : 'Chat'}
+                {unread > 0 && (
+                    <span className="absolute -top-2 -right-2 min-w-6 h-6 px-1.5 rounded-full bg-pink-500 text-xs font-black flex items-center justify-center">
+                        {unread}
+                    </span>
+                )}
+            </button>
+        </div>
+    );
+}
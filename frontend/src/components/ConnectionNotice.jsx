@@ -0,0 +1,27 @@
+import React from 'react';
+import { Avatar } from './Avatar';
+
+// Shows who dropped out mid-game: "reconnecting" players are still being waited for,
+// "away" players have run out of grace time and are being skipped.
+export function ConnectionNotice({ players }) {
+    const reconnecting = players.filter(p => p.reconnecting);
+    const away = players.filter(p => p.away);
+    if (reconnecting.length === 0 && away.length === 0) return null;
+
+    return (
+        <div className="w-full flex flex-wrap justify-center gap-2">
+            {reconnecting.map(p => (
+                <div key={p.id} className="flex items-center gap-2 px-3 py-1 rounded-full bg-yellow-500/20 border border-yellow-500/40 text-sm text-yellow-100 animate-pulse">
+                    <Avatar seed={p.avatar} size="xs" />
+                    <span><span className="font-bold">{p.name}</span> is reconnecting…</span>
+                </div>
+            ))}
+            {away.map(p => (
+                <div key={p.id} className="flex items-center gap-2 px-3 py-1 rounded-full bg-white/5 border border-white/10 text-sm text-white/50">
+                    <Avatar seed={p.avatar} size="xs" className="grayscale" />
+                    <span><span className="font-bold">{p.name}</span> is away (skipped)</span>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef, useState } from 'react';
+import clsx from 'clsx';
+
+// Counts down to a server deadline. clockOffset (server time - local time) corrects for
+// phones whose clocks don't agree with the server.
+export function Countdown({ deadline, clockOffset = 0, onExpire, className }) {
+    const [now, setNow] = useState(() => Date.now());
+    const expiredRef = useRef(false);
+    const onExpireRef = useRef(onExpire);
+
+    useEffect(() => {
+        onExpireRef.current = onExpire;
+    }, [onExpire]);
+
+    useEffect(() => {
+        if (!deadline) return;
+
+        expiredRef.current = false;
+        const interval = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+
+            if (!expiredRef.current && current + clockOffset >= deadline) {
+                expiredRef.current = true;
+                onExpireRef.current?.();
+            }
+        }, 250);
+        return () => clearInterval(interval);
+    }, [deadline, clockOffset]);
+
+    if (!deadline) return null;
+
+    const secondsLeft = Math.max(0, Math.ceil((deadline - (now + clockOffset)) / 1000));
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = secondsLeft % 60;
+
+    return (
+        <div className={clsx(
+            "inline-flex items-center gap-1.5 px-3 py-1 rounded-full border font-mono font-bold tabular-nums",
+            secondsLeft <= 10
+                ? "bg-red-500/20 border-red-500/50 text-red-200 animate-pulse"
+                : "bg-white/5 border-white/10 text-white/80",
+            className
+        )}>
+            <span>⏱</span>
+            <span>{minutes}:{String(seconds).padStart(2, '0')}</span>
+        </div>
+    );
+}
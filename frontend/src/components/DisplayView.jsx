@@ -0,0 +1,254 @@
+import React from 'react';
+import clsx from 'clsx';
+import { Avatar } from './Avatar';
+import { Countdown } from './Countdown';
+import { GameOverView } from './GameOverView';
+import { JoinQrCode } from './JoinQrCode';
+import { NarratorControls } from './NarratorControls';
+import { AnswerReactions } from './AnswerReactions';
+import { countIdenticalAnswers } from '../utils/answers';
+import { countVoted } from '../utils/voting';
+
+// Big-screen version of the game for a TV everyone can see. It only ever gets the public
+// view of the room, so nothing here can give away who wrote what.
+export function DisplayView({ socket, gameState, joinUrl, lastGuess, narrator }) {
+    const { status, currentRound, players, spectators = [] } = gameState;
+    const narratesHere = gameState.settings.narrator === 'display';
+
+    if (status === 'GAME_OVER') {
+        return <GameOverView socket={socket} gameState={gameState} selfId={null} />;
+    }
+
+    const header = (
+        <div className="flex items-center justify-between gap-6 w-full text-white/60">
+            <span>
+                Join at <span className="font-bold text-white">{joinUrl}</span>
+            </span>
+            <span className="flex items-center gap-4">
+                {gameState.roundNumber > 0 && <span>Round {gameState.roundNumber}</span>}
+                <span className="font-mono font-black text-3xl tracking-[0.3em] text-pink-300">{gameState.code}</span>
+            </span>
+        </div>
+    );
+
+    if (status === 'LOBBY') {
+        return (
+            <div className="flex flex-col items-center gap-12 w-full max-w-6xl mx-auto animate-fade-in">
+                <h1 className="text-7xl font-black tracking-tighter bg-clip-text text-transparent bg-gradient-to-r from-pink-500 via-purple-500 to-indigo-500 drop-shadow-lg">
+                    THINGS...
+                </h1>
+                <div className="glass-panel p-10 flex items-center gap-12">
+                    <JoinQrCode roomCode={gameState.code} size={280} className="text-xl" />
+                    <div className="text-center space-y-4">
+                        <p className="text-3xl text-white/60">Scan to join, or enter the code</p>
+                        <p className="font-mono font-black text-8xl tracking-[0.3em] text-pink-300">{gameState.code}</p>
+                    </div>
+                </div>
+                <div className="flex flex-wrap justify-center gap-6">
+                    {players.map(p => (
+                        <div key={p.id} className={clsx("flex flex-col items-center gap-2 animate-pop-in", !p.connected && "opacity-40")}>
+                            <Avatar seed={p.avatar} size="lg" />
+                            <span className="text-xl font-bold">{p.name}</span>
+                        </div>
+                    ))}
+                </div>
+                <p className="text-xl text-white/40 italic">
+                    {players.length === 0 ? 'Waiting for players...' : `${players.length} joined`}
+                    {spectators.length > 0 && ` · ${spectators.length} watching`}
+                </p>
+                {narratesHere && (
+                    <div className="glass-panel p-4 w-80">
+                        <NarratorControls narrator={narrator} />
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    if (status === 'PROMPT_SELECT') {
+        const isVoting = gameState.settings.promptSelection === 'vote';
+        const votes = Object.values(currentRound.promptVotes || {});
+        const reader = players.find(p => p.id === currentRound.readerId);
+
+        return (
+            <div className="flex flex-col items-center gap-10 w-full max-w-6xl mx-auto animate-fade-in">
+                {header}
+                <h2 className="text-5xl font-black text-pink-400 uppercase tracking-widest">
+                    {isVoting ? 'Vote for the Topic' : `${reader?.name || 'The reader'} is choosing...`}
+                </h2>
+                <div className="grid gap-6 w-full">
+                    {(currentRound.promptOptions || []).map((option, index) => (
+                        <div key={option} className="glass-panel p-8 flex items-center justify-between gap-6 animate-slide-up" style={{ animationDelay: `${index * 150}ms` }}>
+                            <span className="text-4xl font-bold">{option}</span>
+                            {isVoting && (
+                                <span className="text-3xl font-black text-pink-300 shrink-0">
+                                    {votes.filter(v => v === index).length} 🗳
+                                </span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    const topic = (
+        <div className="glass-panel p-8 text-center w-full space-y-2">
+            <h3 className="text-xl font-bold text-pink-400 uppercase tracking-widest">Topic</h3>
+            <p className="text-5xl font-black leading-tight">{currentRound.prompt}</p>
+        </div>
+    );
+
+    if (status === 'WRITING') {
+        return (
+            <div className="flex flex-col items-center gap-10 w-full max-w-6xl mx-auto animate-fade-in">
+                {header}
+                {topic}
+                {gameState.phaseDeadline && (
+                    <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} className="text-3xl px-6 py-2" />
+                )}
+                <div className="flex flex-wrap justify-center gap-8">
+                    {players.filter(p => !p.away).map(p => (
+                        <div key={p.id} className={clsx("flex flex-col items-center gap-2 transition-opacity", !p.hasSubmitted && "opacity-40")}>
+                            <div className="relative">
+                                <Avatar seed={p.avatar} size="lg" />
+                                {p.hasSubmitted && (
+                                    <span className="absolute -bottom-2 -right-2 w-10 h-10 rounded-full bg-green-500 flex items-center justify-center text-2xl font-black animate-pop-in">✓</span>
+                                )}
+                            </div>
+                            <span className="text-xl font-bold">{p.name}</span>
+                        </div>
+                    ))}
+                </div>
+                <p className="text-2xl text-white/60">Everyone is writing their answers...</p>
+            </div>
+        );
+    }
+
+    // READING, GUESSING, ROUND_OVER and VOTING
+    const revealedAnswers = currentRound.answers.filter(a => a.isRevealed);
+    const unrevealedCount = currentRound.answers.length - revealedAnswers.length;
+    const identicalCounts = countIdenticalAnswers(revealedAnswers);
+    const reader = players.find(p => p.id === currentRound.readerId);
+    const guesser = players.find(p => p.id === currentRound.guesserId);
+    const sortedPlayers = [...players].sort((a, b) => b.score - a.score);
+
+    return (
+        <div className="flex flex-col gap-8 w-full max-w-7xl mx-auto animate-fade-in">
+            {header}
+            {topic}
+
+            {lastGuess && (
+                <div className={clsx(
+                    "fixed top-10 left-1/2 -translate-x-1/2 z-50 px-10 py-4 rounded-full font-bold text-3xl shadow-2xl animate-bounce-in",
+                    lastGuess.correct ? "bg-green-500 text-white" : "bg-red-500 text-white"
+                )}>
+                    {lastGuess.message}
+                </div>
+            )}
+
+            <div className="grid grid-cols-[1fr_360px] gap-8">
+                {/* Answers */}
+                <div className="grid grid-cols-2 gap-4 content-start">
+                    {revealedAnswers.map(ans => {
+                        const author = ans.isGuessed ? players.find(p => p.id === ans.playerId) : null;
+                        const identicalCount = identicalCounts.get(ans.id) || 1;
+                        return (
+                            <div
+                                key={ans.id}
+                                className={clsx(
+                                    "glass-panel p-6 space-y-3 animate-pop-in transition-all duration-500",
+                                    ans.isGuessed && "bg-green-500/10 border-green-500/40"
+                                )}
+                            >
+                                <p className={clsx("text-3xl font-bold leading-snug", ans.isGuessed && "opacity-60")}>{ans.text}</p>
+                                <AnswerReactions reactions={ans.reactions} />
+                                <div className="flex items-center gap-3 min-h-10">
+                                    {author && (
+                                        <>
+                                            <Avatar seed={author.avatar} size="sm" />
+                                            <span className="text-xl font-bold text-green-300">{author.name}</span>
+                                        </>
+                                    )}
+                                    {identicalCount > 1 && (
+                                        <span className="ml-auto px-3 py-1 rounded-full bg-purple-500/30 text-purple-200 text-sm font-bold">
+                                            Great minds ×{identicalCount}
+                                        </span>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                    {Array.from({ length: unrevealedCount }, (_, i) => (
+                        <div key={`hidden-${i}`} className="glass-panel p-6 flex items-center justify-center text-5xl font-black text-white/20 border-dashed">
+                            ?
+                        </div>
+                    ))}
+                </div>
+
+                {/* Whose turn, who's out, scores */}
+                <div className="space-y-6">
+                    <div className="glass-panel p-6 text-center space-y-3">
+                        {status === 'READING' && (
+                            <>
+                                <p className="text-lg uppercase tracking-wider text-white/60">Reader</p>
+                                <div className="flex items-center justify-center gap-3">
+                                    <Avatar seed={reader?.avatar} size="md" />
+                                    <span className="text-3xl font-bold">{reader?.name}</span>
+                                </div>
+                                {gameState.phaseDeadline && (
+                                    <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} className="text-2xl" />
+                                )}
+                            </>
+                        )}
+                        {status === 'GUESSING' && (
+                            <>
+                                <p className="text-lg uppercase tracking-wider text-white/60">Guessing</p>
+                                <div className="flex items-center justify-center gap-3">
+                                    <Avatar seed={guesser?.avatar} size="md" />
+                                    <span className="text-3xl font-bold">{guesser?.name}</span>
+                                </div>
+                                {gameState.phaseDeadline && (
+                                    <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} className="text-2xl" />
+                                )}
+                            </>
+                        )}
+                        {status === 'ROUND_OVER' && (
+                            <p className="text-3xl font-black text-pink-400">Round over!</p>
+                        )}
+                        {status === 'VOTING' && (
+                            <>
+                                <p className="text-3xl font-black text-yellow-300">⭐ Vote for the best answer!</p>
+                                <p className="text-xl text-white/60">
+                                    {countVoted(currentRound)} / {currentRound.eligibleVoterIds.length} voted
+                                </p>
+                                {gameState.phaseDeadline && (
+                                    <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} className="text-2xl" />
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    <div className="glass-panel p-6 space-y-3">
+                        <p className="text-lg uppercase tracking-wider text-white/60">Scores</p>
+                        {sortedPlayers.map(p => {
+                            const isOut = currentRound.guessedPlayers.includes(p.id);
+                            return (
+                                <div key={p.id} className={clsx("flex items-center gap-3 transition-opacity", isOut && "opacity-40")}>
+                                    <Avatar seed={p.avatar} size="sm" className={clsx(isOut && "grayscale")} />
+                                    <span className={clsx("flex-1 text-xl font-bold truncate", isOut && "line-through")}>{p.name}</span>
+                                    <span className="text-2xl font-black text-pink-400">{p.score}</span>
+                                </div>
+                            );
+                        })}
+                        {currentRound.guessedPlayers.length > 0 && (
+                            <p className="text-sm text-white/40 pt-2">
+                                {currentRound.guessedPlayers.length} / {currentRound.answers.length} found
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
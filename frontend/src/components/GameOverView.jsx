@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import clsx from 'clsx';
+import { Avatar } from './Avatar';
+import { Scoreboard } from './Scoreboard';
+import { StatsView } from './StatsView';
+import { RecapView } from './RecapView';
+import { SaveGameMenu } from './SaveGameMenu';
+import { HallOfFame } from './HallOfFame';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+// Podium columns are laid out 2nd - 1st - 3rd
+const PODIUM_ORDER = [1, 0, 2];
+const PODIUM_STYLES = [
+    { height: 'h-32', medal: '🥇', color: 'from-yellow-400/40 to-yellow-600/20 border-yellow-400/60' },
+    { height: 'h-24', medal: '🥈', color: 'from-slate-300/40 to-slate-500/20 border-slate-300/60' },
+    { height: 'h-16', medal: '🥉', color: 'from-orange-400/40 to-orange-700/20 border-orange-400/60' }
+];
+
+export function GameOverView({ socket, gameState, selfId }) {
+    const { players, awards = [], hostId, roundHistory = [], hallOfFame = [] } = gameState;
+    const isHost = !!selfId && hostId === selfId;
+    const podium = [...players].sort((a, b) => b.score - a.score).slice(0, 3);
+    const { send, pending, error } = useSocketAction(socket);
+    const [showStats, setShowStats] = useState(false);
+    const [showRounds, setShowRounds] = useState(false);
+    const myName = players.find(p => p.id === selfId)?.name;
+
+    const handlePlayAgain = () => {
+        send('play_again', { playerId: selfId });
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-10 max-w-2xl mx-auto w-full animate-fade-in pb-12">
+            <h1 className="text-5xl font-black tracking-tighter bg-clip-text text-transparent bg-gradient-to-r from-yellow-300 via-pink-400 to-purple-400 drop-shadow-lg text-center pt-4">
+                GAME OVER
+            </h1>
+
+            {/* Podium */}
+            <div className="flex items-end justify-center gap-3 w-full">
+                {PODIUM_ORDER.filter(rank => podium[rank]).map(rank => {
+                    const p = podium[rank];
+                    const style = PODIUM_STYLES[rank];
+                    return (
+                        <div key={p.id} className="flex flex-col items-center gap-2 flex-1 max-w-[160px] animate-slide-up" style={{ animationDelay: `${(2 - rank) * 200}ms` }}>
+                            <span className="text-3xl">{style.medal}</span>
+                            <Avatar seed={p.avatar} size={rank === 0 ? 'lg' : 'md'} className={clsx(p.id === selfId && "ring-2 ring-pink-500")} />
+                            <span className="font-bold truncate max-w-full">{p.name}</span>
+                            <div className={clsx("w-full rounded-t-xl border bg-gradient-to-b flex items-start justify-center pt-2", style.height, style.color)}>
+                                <span className="text-2xl font-black">{p.score}</span>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Awards */}
+            {awards.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 w-full">
+                    {awards.map(award => {
+                        const winner = players.find(p => p.id === award.playerId);
+                        return (
+                            <div key={award.id} className="glass-panel p-4 flex flex-col items-center gap-2 text-center animate-pop-in">
+                                <span className="text-3xl">{award.emoji}</span>
+                                <span className="text-xs font-bold uppercase tracking-wider text-pink-300">{award.title}</span>
+                                <Avatar seed={winner?.avatar} size="sm" />
+                                <span className="font-bold">{winner?.name}</span>
+                                <span className="text-xs text-white/60">{award.description}</span>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <HallOfFame entries={hallOfFame} players={players} />
+
+            <Scoreboard players={players} subtitle="Final Scores">
+                {isHost ? (
+                    <>
+                        <button onClick={handlePlayAgain} disabled={pending} className="btn-primary w-full max-w-xs text-xl mt-4">
+                            Play Again
+                        </button>
+                        {error && <p className="text-sm text-red-300">{error}</p>}
+                    </>
+                ) : (
+                    <p className="text-white/40 italic">Waiting for the host to start another game...</p>
+                )}
+                {roundHistory.length > 0 && (
+                    <button onClick={() => setShowRounds(true)} className="text-sm text-white/60 hover:text-white underline">
+                        🔁 Browse this game's rounds
+                    </button>
+                )}
+                {roundHistory.length > 0 && <SaveGameMenu roomCode={gameState.code} />}
+                <button onClick={() => setShowStats(true)} className="text-sm text-white/60 hover:text-white underline">
+                    📊 Lifetime stats
+                </button>
+            </Scoreboard>
+
+            {showRounds && (
+                <RecapView
+                    rounds={roundHistory}
+                    players={players}
+                    settings={gameState.settings}
+                    selfId={selfId}
+                    onNext={() => setShowRounds(false)}
+                    nextLabel="Back to Results"
+                />
+            )}
+            {showStats && <StatsView onClose={() => setShowStats(false)} highlightName={myName} />}
+        </div>
+    );
+}
@@ -1,23 +1,40 @@
 import React, { useState } from 'react';
 import { Avatar } from './Avatar';
 import { RecapView } from './RecapView';
+import { HostControls } from './HostControls';
+import { Countdown } from './Countdown';
+import { PromptQueuePanel } from './PromptQueuePanel';
+import { PromptSelectView } from './PromptSelectView';
+import { ConnectionNotice } from './ConnectionNotice';
+import { SpectatorBanner } from './SpectatorBanner';
+import { NarratorControls } from './NarratorControls';
+import { AnswerReactions } from './AnswerReactions';
+import { SaveGameMenu } from './SaveGameMenu';
+import { BestAnswerVoteView } from './BestAnswerVoteView';
+import { useNarratorPrefs, useNarration } from '../hooks/useNarrator';
 import { BubblePopGame } from '../minigame/BubblePopGame';
+import { useSocketAction } from '../hooks/useSocketAction';
+import { countIdenticalAnswers } from '../utils/answers';
 import clsx from 'clsx';
 
 export function GameView({ socket, gameState, selfId }) {
     const { status, currentRound, players } = gameState;
     const [answer, setAnswer] = useState('');
     const [submitted, setSubmitted] = useState(false);
-    const [selectedAnswer, setSelectedAnswer] = useState(null); // Text of selected answer
+    const [selectedAnswerId, setSelectedAnswerId] = useState(null); // ID of selected answer
     const [selectedPlayer, setSelectedPlayer] = useState(null); // ID of selected player to guess
     const [showRecap, setShowRecap] = useState(false);
+    const { send, pending, error, setError } = useSocketAction(socket);
+    // Separate so a refused reaction doesn't show up as a guess/answer error
+    const { send: sendReaction, pending: reactionPending } = useSocketAction(socket);
 
-    // Trigger recap when a new previous round is available (i.e., new round started)
+    // Trigger recap when another round has been played to the end (skipped rounds don't count)
+    const finishedRoundCount = gameState.roundHistory?.length || 0;
     React.useEffect(() => {
-        if (gameState.previousRound && gameState.previousRound.prompt) {
+        if (finishedRoundCount > 0) {
             setShowRecap(true);
         }
-    }, [gameState.previousRound?.prompt]);
+    }, [finishedRoundCount]);
 
     // Reset submission state when a new round starts
     React.useEffect(() => {
@@ -27,10 +44,19 @@ export function GameView({ socket, gameState, selfId }) {
 
     const isReader = currentRound.readerId === selfId;
     const isGuesser = currentRound.guesserId === selfId;
-    const myAnswer = currentRound.answers.find(a => a.playerId === selfId);
+    const isHost = !!selfId && gameState.hostId === selfId;
     const myPlayer = players.find(p => p.id === selfId);
+    // Joined mid-round (or chose to just watch) - everything is read-only until we get a seat
+    const mySpectator = gameState.spectators?.find(s => s.id === selfId);
+    // The server only tells us *whether* someone submitted, never what they wrote
+    const hasSubmitted = myPlayer?.hasSubmitted;
     const readerPlayer = players.find(p => p.id === currentRound.readerId);
 
+    // Narrator mode 'reader': the reader's phone reads the prompt and answers aloud
+    const narratesHere = gameState.settings.narrator === 'reader' && isReader;
+    const narrator = useNarratorPrefs();
+    useNarration({ enabled: narratesHere, status, currentRound, speak: narrator.speak });
+
     const [lastGuessResult, setLastGuessResult] = useState(null); // { correct: boolean, message: string }
 
     // Clear toast after 3 seconds
@@ -89,56 +115,127 @@ export function GameView({ socket, gameState, selfId }) {
         return () => socket.off('state_update', handleStateUpdate);
     }, [socket, myPlayer, selfId]);
 
-    const handleSubmit = () => {
-        if (!answer.trim()) return;
-        socket.emit('submit_answer', { text: answer, playerId: selfId });
-        setSubmitted(true);
+    const handleSubmit = async () => {
+        if (!answer.trim() || pending) return;
+        const { ok } = await send('submit_answer', { text: answer, playerId: selfId });
+        if (ok) setSubmitted(true);
+    };
+
+    // Time's up: send whatever has been typed so far
+    const handleWritingTimeout = () => {
+        if (!submitted && answer.trim()) {
+            handleSubmit();
+        }
     };
 
     const handleReveal = () => {
-        socket.emit('reveal_answer', { playerId: selfId });
+        send('reveal_answer', { playerId: selfId });
     };
 
-    const handleGuess = () => {
-        if (!selectedAnswer || !selectedPlayer) return;
-        socket.emit('make_guess', { targetPlayerId: selectedPlayer, answerText: selectedAnswer, playerId: selfId }, (response) => {
-            // Callback if server supports it, otherwise use event listener above
-        });
-        setSelectedAnswer(null);
+    const handleGuess = async () => {
+        if (!selectedAnswerId || !selectedPlayer) return;
+        const { ok } = await send('make_guess', { targetPlayerId: selectedPlayer, answerId: selectedAnswerId, playerId: selfId });
+        // On failure the modal stays open with the error so the guesser can try again
+        if (ok) {
+            setSelectedAnswerId(null);
+            setSelectedPlayer(null);
+        }
+    };
+
+    const handleCancelGuess = () => {
+        setSelectedAnswerId(null);
         setSelectedPlayer(null);
+        setError(null);
+    };
+
+    const handleReact = (answerId, emoji) => {
+        sendReaction('react_to_answer', { playerId: selfId, answerId, emoji });
     };
 
     const handleNextRound = () => {
-        socket.emit('next_round', { playerId: selfId });
+        send('next_round', { playerId: selfId });
     };
 
+    // Shown at the start of each round (PROMPT_SELECT or WRITING) until dismissed
+    const recapOverlay = showRecap && (
+        <RecapView
+            rounds={gameState.roundHistory}
+            settings={gameState.settings}
+            players={players}
+            selfId={selfId}
+            onNext={() => setShowRecap(false)}
+        >
+            <div className="flex justify-center">
+                <SaveGameMenu roomCode={gameState.code} />
+            </div>
+            {gameState.settings.playerPrompts && !mySpectator && (
+                <PromptQueuePanel
+                    socket={socket}
+                    selfId={selfId}
+                    queueCount={gameState.promptQueueCount}
+                    myPrompts={gameState.myQueuedPrompts}
+                />
+            )}
+        </RecapView>
+    );
+
+    if (status === 'PROMPT_SELECT') {
+        return (
+            <div className="flex flex-col items-center gap-8 max-w-2xl mx-auto w-full animate-fade-in">
+                {recapOverlay}
+                {isHost && <HostControls socket={socket} gameState={gameState} selfId={selfId} />}
+                <ConnectionNotice players={players} />
+                <SpectatorBanner spectator={mySpectator} />
+                <PromptSelectView socket={socket} gameState={gameState} selfId={selfId} />
+            </div>
+        );
+    }
+
+    if (status === 'VOTING') {
+        return (
+            <div className="flex flex-col items-center gap-8 max-w-2xl mx-auto w-full animate-fade-in">
+                {isHost && <HostControls socket={socket} gameState={gameState} selfId={selfId} />}
+                <ConnectionNotice players={players} />
+                <SpectatorBanner spectator={mySpectator} />
+                <BestAnswerVoteView socket={socket} gameState={gameState} selfId={selfId} />
+            </div>
+        );
+    }
+
     if (status === 'WRITING') {
         return (
             <div className="flex flex-col items-center gap-8 max-w-2xl mx-auto w-full animate-fade-in">
-                {showRecap && (
-                    <RecapView
-                        previousRound={gameState.previousRound}
-                        players={players}
-                        selfId={selfId}
-                        onNext={() => setShowRecap(false)}
-                    />
-                )}
+                {recapOverlay}
+                {isHost && <HostControls socket={socket} gameState={gameState} selfId={selfId} />}
+                <ConnectionNotice players={players} />
+                <SpectatorBanner spectator={mySpectator} />
                 <div className={clsx(
                     "glass-panel w-full text-center space-y-6 relative transition-all duration-300 overflow-hidden",
-                    (submitted || myAnswer) ? "p-8 pb-0 px-0 mb-12" : "p-8"
+                    (submitted || hasSubmitted) ? "p-8 pb-0 px-0 mb-12" : "p-8"
                 )}>
                     {/* Persistent User Info */}
                     <div className="absolute top-2 right-2 flex items-center gap-2 bg-white/5 px-3 py-1.5 rounded-full border border-white/10">
-                        <span className="text-sm font-bold opacity-80">{myPlayer?.name}</span>
-                        <Avatar seed={myPlayer?.avatar} size="sm" className="w-6 h-6" />
+                        <span className="text-sm font-bold opacity-80">{(myPlayer || mySpectator)?.name}</span>
+                        <Avatar seed={(myPlayer || mySpectator)?.avatar} size="sm" className="w-6 h-6" />
                     </div>
 
                     <div className="space-y-2 pt-2">
+                        {gameState.phaseDeadline && (
+                            <Countdown
+                                deadline={gameState.phaseDeadline}
+                                clockOffset={gameState.clockOffset}
+                                onExpire={handleWritingTimeout}
+                            />
+                        )}
                         <h3 className="text-xl font-bold text-pink-400 uppercase tracking-widest">Topic</h3>
                         <p className="text-3xl font-black leading-tight">{currentRound.prompt}</p>
                     </div>
 
-                    {submitted || myAnswer ? (
+                    {mySpectator ? (
+                        <p className="text-white/60 italic pb-8">
+                            {players.filter(p => p.hasSubmitted).length} / {players.length} players have answered...
+                        </p>
+                    ) : submitted || hasSubmitted ? (
                         <div className="space-y-0">
                             <div className="flex items-center justify-center gap-2 mb-2 px-8">
                                 <span className="text-green-400 text-xl">✓</span>
@@ -150,10 +247,7 @@ export function GameView({ socket, gameState, selfId }) {
                                 selfId={selfId}
                                 syncSeed={currentRound.prompt}
                                 myAvatar={myPlayer?.avatar}
-                                otherPlayers={players.filter(p =>
-                                    p.id !== selfId &&
-                                    currentRound.answers.some(a => a.playerId === p.id)
-                                )}
+                                otherPlayers={players.filter(p => p.id !== selfId && p.hasSubmitted)}
                             />
                         </div>
                     ) : (
@@ -163,11 +257,12 @@ export function GameView({ socket, gameState, selfId }) {
                                 onChange={e => setAnswer(e.target.value)}
                                 className="input-field min-h-[150px] text-lg resize-none"
                                 placeholder="Write your funny response here..."
-                                maxLength={200}
+                                maxLength={gameState.settings.answerMaxLength}
                             />
-                            <button onClick={handleSubmit} disabled={!answer.trim()} className="btn-primary w-full">
+                            <button onClick={handleSubmit} disabled={!answer.trim() || pending} className="btn-primary w-full">
                                 Submit Answer
                             </button>
+                            {error && <p className="text-sm text-red-300">{error}</p>}
                         </div>
                     )}
                 </div>
@@ -180,9 +275,15 @@ export function GameView({ socket, gameState, selfId }) {
     if (status === 'READING' || status === 'GUESSING' || status === 'ROUND_OVER') {
         const revealedAnswers = currentRound.answers?.filter(a => a.isRevealed) || [];
         const unrevealedCount = (currentRound.answers?.length || 0) - revealedAnswers.length;
+        const identicalCounts = countIdenticalAnswers(revealedAnswers);
+        const selectedAnswer = revealedAnswers.find(a => a.id === selectedAnswerId);
 
         return (
             <div className="flex flex-col gap-6 max-w-4xl mx-auto w-full h-full animate-fade-in relative">
+                {isHost && <HostControls socket={socket} gameState={gameState} selfId={selfId} />}
+                <ConnectionNotice players={players} />
+                <SpectatorBanner spectator={mySpectator} />
+
                 {/* Feedback Toast */}
                 {lastGuessResult && (
                     <div className={clsx(
@@ -231,6 +332,7 @@ export function GameView({ socket, gameState, selfId }) {
                                 isReader && (
                                     <button
                                         onClick={handleReveal}
+                                        disabled={pending}
                                         className="w-full p-6 rounded-xl border-2 border-dashed border-cyan-500/50 bg-cyan-500/10 hover:bg-cyan-500/20 hover:border-cyan-400 hover:shadow-[0_0_30px_rgba(6,182,212,0.3)] active:scale-[0.98] active:bg-cyan-500/30 transition-all duration-200 flex items-center justify-center gap-4 group animate-pulse-slow ring-1 ring-cyan-500/30"
                                     >
                                         <p className="font-black text-cyan-300">Tap to Reveal Next Answer</p>
@@ -239,16 +341,17 @@ export function GameView({ socket, gameState, selfId }) {
                             )}
 
                             {/* Revealed Answers */}
-                            {revealedAnswers.map((ans, i) => {
+                            {revealedAnswers.map((ans) => {
                                 const isGuessed = ans.isGuessed;
-                                const isSelected = selectedAnswer === ans.text;
-                                const author = players.find(p => p.id === ans.playerId);
+                                const isSelected = selectedAnswerId === ans.id;
+                                const identicalCount = identicalCounts.get(ans.id) || 1;
+                                const author = players.find(p => p.id === ans.playerId); // Only sent once guessed
                                 const wrongGuesses = ans.wrongGuesses || [];
 
                                 return (
                                     <div
-                                        key={i}
-                                        onClick={() => !isGuessed && status === 'GUESSING' && isGuesser && setSelectedAnswer(ans.text)}
+                                        key={ans.id}
+                                        onClick={() => !isGuessed && status === 'GUESSING' && isGuesser && setSelectedAnswerId(ans.id)}
                                         className={clsx(
                                             "p-4 rounded-xl border transition-all duration-500 relative overflow-hidden group animate-slide-up",
                                             isGuessed
@@ -261,6 +364,11 @@ export function GameView({ socket, gameState, selfId }) {
                                         )}
                                     >
                                         <p className="text-lg font-medium">{ans.text}</p>
+                                        {identicalCount > 1 && (
+                                            <span className="absolute top-2 right-3 text-xs font-bold text-yellow-300/80" title="Same words, different authors - each one is guessed separately">
+                                                Great minds ×{identicalCount}
+                                            </span>
+                                        )}
 
                                         {/* Wrong Guesses Display */}
                                         {wrongGuesses.length > 0 && !isGuessed && (
@@ -289,6 +397,16 @@ export function GameView({ socket, gameState, selfId }) {
                                                 <span className="font-bold text-sm">Written by {author.name}</span>
                                             </div>
                                         )}
+
+                                        <div className="mt-3">
+                                            <AnswerReactions
+                                                reactions={ans.reactions}
+                                                selfId={selfId}
+                                                // Spectators only see the tally
+                                                onReact={myPlayer ? (emoji) => handleReact(ans.id, emoji) : undefined}
+                                                disabled={reactionPending}
+                                            />
+                                        </div>
                                     </div>
                                 );
                             })}
@@ -312,13 +430,22 @@ export function GameView({ socket, gameState, selfId }) {
                                     {isReader ? (
                                         <div className="text-center space-y-1 py-2">
                                             <p className="text-xl font-bold text-pink-400 animate-pulse-slow">You are the Reader!</p>
-                                            <p className="text-sm text-white/60 italic">Reveal the answers and read them aloud</p>
+                                            <p className="text-sm text-white/60 italic">
+                                                {narratesHere ? 'Reveal the answers - your phone reads them aloud' : 'Reveal the answers and read them aloud'}
+                                            </p>
                                         </div>
                                     ) : (
                                         <div className="text-center opacity-60">
                                             Waiting for reader to reveal...
                                         </div>
                                     )}
+                                    {gameState.phaseDeadline && (
+                                        <div className="flex items-center justify-center gap-2 text-sm text-white/60">
+                                            <span>Next answer in</span>
+                                            <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} />
+                                        </div>
+                                    )}
+                                    {narratesHere && <NarratorControls narrator={narrator} />}
                                 </div>
                             )}
 
@@ -330,6 +457,9 @@ export function GameView({ socket, gameState, selfId }) {
                                             <Avatar seed={players.find(p => p.id === currentRound.guesserId)?.avatar} size="sm" />
                                             <span className="font-bold text-xl">{players.find(p => p.id === currentRound.guesserId)?.name}</span>
                                         </div>
+                                        {gameState.phaseDeadline && (
+                                            <Countdown deadline={gameState.phaseDeadline} clockOffset={gameState.clockOffset} className="mt-2" />
+                                        )}
                                     </div>
 
                                     {currentRound.guessedPlayers.includes(selfId) ? (
@@ -357,7 +487,7 @@ export function GameView({ socket, gameState, selfId }) {
                             <div className="p-6 border-b border-white/10">
                                 <h3 className="text-xl font-bold text-center mb-2">Who wrote this?</h3>
                                 <div className="p-4 bg-white/5 rounded-xl text-center text-lg font-medium italic">
-                                    "{selectedAnswer}"
+                                    "{selectedAnswer.text}"
                                 </div>
                             </div>
 
@@ -381,16 +511,18 @@ export function GameView({ socket, gameState, selfId }) {
                                 </div>
                             </div>
 
+                            {error && <p className="px-6 text-sm text-center text-red-300">{error}</p>}
+
                             <div className="p-6 border-t border-white/10 flex gap-4">
                                 <button
-                                    onClick={() => { setSelectedAnswer(null); setSelectedPlayer(null); }}
+                                    onClick={handleCancelGuess}
                                     className="flex-1 py-3 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors"
                                 >
                                     Cancel
                                 </button>
                                 <button
                                     onClick={handleGuess}
-                                    disabled={!selectedPlayer}
+                                    disabled={!selectedPlayer || pending}
                                     className="flex-1 btn-primary"
                                 >
                                     Confirm Guess
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Avatar } from './Avatar';
+
+// The game's best-voted answers (GameState.hallOfFame, most votes first)
+export function HallOfFame({ entries = [], players }) {
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="glass-panel p-6 w-full space-y-4">
+            <h3 className="text-sm font-bold uppercase tracking-wider text-yellow-300 text-center">⭐ Hall of Fame</h3>
+            <div className="space-y-3">
+                {entries.map((entry, index) => {
+                    const author = players.find(p => p.id === entry.playerId);
+                    return (
+                        <div key={index} className="flex items-start gap-3 animate-slide-up" style={{ animationDelay: `${index * 80}ms` }}>
+                            <Avatar seed={author?.avatar} size="sm" />
+                            <div className="flex-1 min-w-0">
+                                <p className="text-lg font-medium leading-snug">"{entry.text}"</p>
+                                <p className="text-xs text-white/50">
+                                    {author?.name || 'Someone who left'} · Round {entry.roundNumber}: {entry.prompt}
+                                </p>
+                            </div>
+                            <span className="text-xs font-black text-yellow-300 bg-yellow-500/20 px-2 py-0.5 rounded-full shrink-0">
+                                {entry.votes} {entry.votes === 1 ? 'vote' : 'votes'}
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
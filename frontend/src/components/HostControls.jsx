@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Avatar } from './Avatar';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+export function HostControls({ socket, gameState, selfId }) {
+    const { status, players } = gameState;
+    const [open, setOpen] = useState(false);
+    const [confirmEnd, setConfirmEnd] = useState(false);
+    const { send, pending, error } = useSocketAction(socket);
+
+    const emit = (event, payload = {}) => send(event, { playerId: selfId, ...payload });
+
+    const handleEndGame = async () => {
+        if (!confirmEnd) {
+            setConfirmEnd(true);
+            return;
+        }
+        setConfirmEnd(false);
+        const { ok } = await emit('end_game');
+        if (ok) setOpen(false);
+    };
+
+    const canSkipReader = ['PROMPT_SELECT', 'WRITING', 'READING'].includes(status);
+    // During WRITING we only ever see our own answer, so count submissions from the player list.
+    // Away players' answers count too - the server's forceEndWriting goes by every submitted answer
+    const submittedCount = players.filter(p => p.hasSubmitted).length;
+    const canForceAdvance = status === 'PROMPT_SELECT' || (status === 'WRITING' && submittedCount >= 2);
+    const waitingOn = players.filter(p => !p.hasSubmitted);
+
+    return (
+        <div className="fixed bottom-4 left-4 z-40">
+            {open && (
+                <div className="glass-panel mb-3 p-4 w-72 space-y-4 bg-black/60 animate-pop-in">
+                    <h4 className="text-sm font-bold uppercase tracking-wider text-yellow-300">Host Controls</h4>
+
+                    <div className="grid gap-2">
+                        <button
+                            onClick={() => emit('skip_reader')}
+                            disabled={!canSkipReader || pending}
+                            className="py-2 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                            Skip Reader
+                        </button>
+                        <button
+                            onClick={() => emit('force_advance')}
+                            disabled={!canForceAdvance || pending}
+                            className="py-2 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                            {status === 'PROMPT_SELECT' ? 'Lock In Prompt' : 'Stop Writing Now'}
+                        </button>
+                        {status === 'WRITING' && waitingOn.length > 0 && (
+                            <p className="text-xs text-white/50">
+                                Waiting on: {waitingOn.map(p => p.name).join(', ')}
+                            </p>
+                        )}
+                    </div>
+
+                    <div className="space-y-2 border-t border-white/10 pt-3">
+                        <p className="text-xs uppercase tracking-wider opacity-60">Kick a player</p>
+                        {players.filter(p => p.id !== selfId).map(p => (
+                            <div key={p.id} className="flex items-center gap-2">
+                                <Avatar seed={p.avatar} size="xs" />
+                                <span className="flex-1 truncate text-sm font-bold">{p.name}</span>
+                                <button
+                                    onClick={() => emit('kick_player', { targetPlayerId: p.id })}
+                                    disabled={pending}
+                                    className="text-xs text-red-300/80 hover:text-red-200 underline disabled:opacity-40"
+                                >
+                                    Kick
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+
+                    {error && <p className="text-sm text-red-300">{error}</p>}
+
+                    <button
+                        onClick={handleEndGame}
+                        disabled={pending}
+                        className="w-full py-2 bg-red-500/30 hover:bg-red-500/50 border border-red-500/50 rounded-lg font-bold transition-colors"
+                    >
+                        {confirmEnd ? 'Tap again to end the game' : 'End Game'}
+                    </button>
+                </div>
+            )}
+
+            <button
+                onClick={() => { setOpen(!open); setConfirmEnd(false); }}
+                className="px-4 py-2 rounded-full bg-yellow-500/20 border border-yellow-500/50 text-yellow-200 font-bold shadow-xl backdrop-blur-md"
+            >
+                👑 {open ? 'Close' : 'Host'}
+            </button>
+        </div>
+    );
+}
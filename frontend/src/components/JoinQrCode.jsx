@@ -0,0 +1,26 @@
+import React from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import clsx from 'clsx';
+import { useJoinUrl, isLocalHost } from '../hooks/useJoinUrl';
+
+// Scannable join link for the room, drawn locally as an SVG (no external QR service)
+export function JoinQrCode({ roomCode, size = 160, className }) {
+    const joinUrl = useJoinUrl(roomCode);
+    const shortUrl = joinUrl.replace(/^https?:\/\//, '');
+    // No LAN address found - phones can't reach "localhost", so the code would be useless
+    const unreachable = isLocalHost(new URL(joinUrl).hostname);
+
+    return (
+        <div className={clsx("flex flex-col items-center gap-3", className)}>
+            <div className="p-3 bg-white rounded-xl shadow-xl">
+                <QRCodeSVG value={joinUrl} size={size} marginSize={1} title="Scan to join" />
+            </div>
+            <p className="font-mono font-bold text-sm break-all text-center">{shortUrl}</p>
+            {unreachable && (
+                <p className="text-xs text-yellow-200/80 text-center max-w-xs">
+                    Couldn't find this computer's network address - other devices may not be able to open this link.
+                </p>
+            )}
+        </div>
+    );
+}
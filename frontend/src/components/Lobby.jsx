@@ -1,21 +1,43 @@
 import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
 import { Avatar } from './Avatar';
+import { SettingsPanel } from './SettingsPanel';
+import { PromptPackPanel } from './PromptPackPanel';
+import { PromptQueuePanel } from './PromptQueuePanel';
+import { JoinQrCode } from './JoinQrCode';
+import { StatsView } from './StatsView';
 import { BubblePopGame } from '../minigame/BubblePopGame';
+import { useSocketAction } from '../hooks/useSocketAction';
 
-export function Lobby({ socket, players, selfId }) {
+export function Lobby({
+    socket, players, spectators = [], selfId, roomCode, hostId, settings, selectedPacks, customPack, promptQueueCount, myQueuedPrompts
+}) {
     const [name, setName] = useState('');
     const [avatarSeed, setAvatarSeed] = useState('');
+    // Join links (from the TV screen / QR code) carry the room code
+    const [joinCode, setJoinCode] = useState(() => new URLSearchParams(window.location.search).get('room')?.toUpperCase() || '');
     const [joined, setJoined] = useState(false);
+    const [showQr, setShowQr] = useState(null); // null = default (open for the host)
+    const [showStats, setShowStats] = useState(false);
+    const { send, pending, error } = useSocketAction(socket);
 
     // Generate random seed on mount
     useEffect(() => {
         setAvatarSeed(Math.random().toString(36).substring(7));
     }, []);
 
-    const handleJoin = () => {
+    // Stay on the form until the server has let us in (room may not exist, or be full)
+    const handleCreate = async () => {
         if (!name.trim()) return;
-        socket.emit('join_game', { name, avatar: avatarSeed });
-        setJoined(true);
+        const { ok } = await send('create_room', { name, avatar: avatarSeed });
+        if (ok) setJoined(true);
+    };
+
+    // spectate: join to watch only (e.g. on a shared screen) - never takes a seat
+    const handleJoin = async (spectate = false) => {
+        if (!name.trim() || !joinCode.trim()) return;
+        const { ok } = await send('join_game', { roomCode: joinCode, name, avatar: avatarSeed, spectate });
+        if (ok) setJoined(true);
     };
 
     const handleRegenerate = () => {
@@ -23,7 +45,15 @@ export function Lobby({ socket, players, selfId }) {
     };
 
     const handleStart = () => {
-        socket.emit('start_game');
+        send('start_game', { playerId: selfId });
+    };
+
+    const handleKick = (targetPlayerId) => {
+        send('kick_player', { playerId: selfId, targetPlayerId });
+    };
+
+    const handleMakeHost = (targetPlayerId) => {
+        send('transfer_host', { playerId: selfId, targetPlayerId });
     };
 
     const handleLeave = () => {
@@ -33,58 +63,138 @@ export function Lobby({ socket, players, selfId }) {
     };
 
     const myPlayer = players.find(p => p.id === selfId);
+    const isSpectator = spectators.some(s => s.id === selfId);
+    const isHost = !!selfId && hostId === selfId;
+    const hostPlayer = players.find(p => p.id === hostId);
+    const minPlayers = settings?.minPlayers || 3;
 
-    if (joined || myPlayer) { // Check if joined locally OR if we exist in players list (rejoined)
+    if (joined || myPlayer || isSpectator) { // Check if joined locally OR if we exist in the room (rejoined)
         return (
             <div className="flex flex-col items-center gap-8 max-w-2xl mx-auto w-full animate-fade-in">
                 <div className="text-center space-y-2">
                     <h2 className="text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-pink-400 to-purple-400">
                         Waiting for players...
                     </h2>
-                    <p className="text-white/60">The host will start the game soon.</p>
+                    <p className="text-white/60">
+                        {isHost ? "You're the host - start when everyone is in." : `${hostPlayer?.name || 'The host'} will start the game soon.`}
+                    </p>
+                    {isSpectator && (
+                        <p className="text-sm text-sky-300">👀 You're watching this game - you won't be given a seat.</p>
+                    )}
+                    {roomCode && (
+                        <p className="text-white/60">
+                            Room code: <span className="font-mono font-black text-2xl tracking-[0.3em] text-pink-300">{roomCode}</span>
+                        </p>
+                    )}
+                    {roomCode && (
+                        <button onClick={() => setShowQr(!(showQr ?? isHost))} className="text-sm text-pink-400 hover:text-pink-300 underline">
+                            {(showQr ?? isHost) ? 'Hide join QR code' : 'Show join QR code'}
+                        </button>
+                    )}
                 </div>
 
+                {roomCode && (showQr ?? isHost) && (
+                    <JoinQrCode roomCode={roomCode} className="glass-panel p-6 animate-pop-in" />
+                )}
+
                 <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 w-full">
                     {players.map(p => (
                         <div key={p.id} className="glass-panel p-4 flex flex-col items-center gap-2 animate-pop-in relative">
                             <Avatar seed={p.avatar} size="md" />
                             <span className="font-bold truncate max-w-full">{p.name}</span>
                             {p.id === selfId && <span className="text-xs text-pink-400">(You)</span>}
+                            {p.id === hostId && <span className="absolute top-2 left-2 text-lg" title="Host">👑</span>}
                             {!p.connected && <span className="absolute top-2 right-2 w-3 h-3 bg-red-500 rounded-full" title="Disconnected"></span>}
+                            {isHost && p.id !== selfId && (
+                                <div className="flex gap-2 text-xs">
+                                    <button onClick={() => handleMakeHost(p.id)} disabled={pending} className="text-yellow-300/80 hover:text-yellow-200 underline disabled:opacity-40">
+                                        Make host
+                                    </button>
+                                    <button onClick={() => handleKick(p.id)} disabled={pending} className="text-red-300/80 hover:text-red-200 underline disabled:opacity-40">
+                                        Kick
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     ))}
                 </div>
 
+                {spectators.length > 0 && (
+                    <div className="w-full flex flex-wrap justify-center items-center gap-2">
+                        <span className="text-xs uppercase tracking-wider text-white/40">Watching</span>
+                        {spectators.map(s => (
+                            <div key={s.id} className={clsx('flex items-center gap-2 px-3 py-1 rounded-full bg-white/5 border border-white/10 text-sm', !s.connected && 'opacity-40')}>
+                                <Avatar seed={s.avatar} size="xs" />
+                                <span className="font-bold">{s.name}</span>
+                                {s.id === selfId && <span className="text-xs text-pink-400">(You)</span>}
+                                {isHost && (
+                                    <button onClick={() => handleKick(s.id)} disabled={pending} className="text-xs text-red-300/80 hover:text-red-200 underline disabled:opacity-40">
+                                        Kick
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {settings && (
+                    <SettingsPanel socket={socket} settings={settings} isHost={isHost} selfId={selfId} />
+                )}
+
+                {settings?.playerPrompts && !isSpectator && (
+                    <PromptQueuePanel
+                        socket={socket}
+                        selfId={selfId}
+                        queueCount={promptQueueCount}
+                        myPrompts={myQueuedPrompts}
+                    />
+                )}
+
+                {selectedPacks && (
+                    <PromptPackPanel
+                        socket={socket}
+                        roomCode={roomCode}
+                        selectedPacks={selectedPacks}
+                        customPack={customPack}
+                        isHost={isHost}
+                        selfId={selfId}
+                    />
+                )}
+
                 <div className="flex gap-4 w-full max-w-xs">
                     <button onClick={handleLeave} className="flex-1 py-3 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors">
                         Leave
                     </button>
-                    {players.length >= 3 && (
-                        <button onClick={handleStart} className="flex-1 btn-primary text-xl">
+                    {isHost && players.length >= minPlayers && (
+                        <button onClick={handleStart} disabled={pending} className="flex-1 btn-primary text-xl">
                             Start
                         </button>
                     )}
                 </div>
 
-                {players.length < 3 && (
-                    <div className="text-white/40 italic">Need at least 3 players to start</div>
+                {error && <p className="text-sm text-red-300">{error}</p>}
+
+                {players.length < minPlayers && (
+                    <div className="text-white/40 italic">Need at least {minPlayers} players to start</div>
                 )}
 
-                {/* Minigame while waiting */}
-                <div className="w-full max-w-2xl mb-12">
-                    <div className="glass-panel overflow-hidden border-t border-white/10 p-0 relative">
-                        <div className="absolute top-4 left-4 z-10 bg-black/40 backdrop-blur-sm px-3 py-1 rounded-full border border-white/10">
-                            <span className="text-xs font-bold uppercase tracking-wider text-pink-300">Minigame Area</span>
+                {/* Minigame while waiting (players only - spectators just watch) */}
+                {!isSpectator && (
+                    <div className="w-full max-w-2xl mb-12">
+                        <div className="glass-panel overflow-hidden border-t border-white/10 p-0 relative">
+                            <div className="absolute top-4 left-4 z-10 bg-black/40 backdrop-blur-sm px-3 py-1 rounded-full border border-white/10">
+                                <span className="text-xs font-bold uppercase tracking-wider text-pink-300">Minigame Area</span>
+                            </div>
+                            <BubblePopGame
+                                socket={socket}
+                                selfId={selfId}
+                                syncSeed="lobby"
+                                myAvatar={myPlayer?.avatar}
+                                otherPlayers={players.filter(p => p.id !== selfId)}
+                            />
                         </div>
-                        <BubblePopGame
-                            socket={socket}
-                            selfId={selfId}
-                            syncSeed="lobby"
-                            myAvatar={myPlayer?.avatar}
-                            otherPlayers={players.filter(p => p.id !== selfId)}
-                        />
                     </div>
-                </div>
+                )}
             </div>
         );
     }
@@ -98,6 +208,8 @@ export function Lobby({ socket, players, selfId }) {
                 <p className="text-xl text-white/80">The Game of Funny Responses</p>
             </div>
 
+            {showStats && <StatsView onClose={() => setShowStats(false)} highlightName={name.trim() || undefined} />}
+
             <div className="glass-panel p-8 w-full space-y-6">
                 <div className="space-y-2">
                     <label className="text-sm font-bold uppercase tracking-wider text-white/60">Your Name</label>
@@ -125,13 +237,46 @@ export function Lobby({ socket, players, selfId }) {
                 </div>
 
                 <button
-                    onClick={handleJoin}
-                    disabled={!name.trim()}
+                    onClick={handleCreate}
+                    disabled={!name.trim() || pending}
                     className="btn-primary w-full text-lg"
                 >
-                    Join Game
+                    Create Room
                 </button>
+
+                <div className="space-y-2 border-t border-white/10 pt-6">
+                    <label className="text-sm font-bold uppercase tracking-wider text-white/60">Or Join a Room</label>
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={joinCode}
+                            onChange={e => setJoinCode(e.target.value.toUpperCase())}
+                            className="input-field text-center text-xl font-mono font-bold tracking-[0.3em] uppercase"
+                            placeholder="CODE"
+                            maxLength={4}
+                        />
+                        <button
+                            onClick={() => handleJoin()}
+                            disabled={!name.trim() || !joinCode.trim() || pending}
+                            className="btn-primary text-lg shrink-0"
+                        >
+                            Join
+                        </button>
+                    </div>
+                    <button
+                        onClick={() => handleJoin(true)}
+                        disabled={!name.trim() || !joinCode.trim() || pending}
+                        className="w-full text-sm text-sky-300 hover:text-sky-200 underline disabled:opacity-40 disabled:no-underline"
+                    >
+                        No phone to spare? Just watch
+                    </button>
+                    {error && <p className="text-sm text-red-300">{error}</p>}
+                </div>
             </div>
+
+            <button onClick={() => setShowStats(true)} className="text-sm text-white/60 hover:text-white underline">
+                📊 Player stats
+            </button>
         </div>
     );
 }
@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Voice / speed picker for the device doing the reading aloud (see useNarratorPrefs)
+export function NarratorControls({ narrator }) {
+    const { prefs, setPrefs, voices, speak, supported } = narrator;
+
+    if (!supported) {
+        return <p className="text-xs text-white/50 italic">This browser can't read aloud - reveal and read the answers yourself.</p>;
+    }
+
+    return (
+        <div className="space-y-2 text-left">
+            <p className="text-xs uppercase tracking-wider opacity-60">🔊 Narrator</p>
+            <select
+                value={prefs.voiceURI || ''}
+                onChange={e => setPrefs({ voiceURI: e.target.value || null })}
+                className="input-field text-sm py-1"
+            >
+                <option value="">Default voice</option>
+                {voices.map(v => (
+                    <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>
+                ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-white/80">
+                <span className="shrink-0">Speed</span>
+                <input
+                    type="range"
+                    min="0.5"
+                    max="2"
+                    step="0.1"
+                    value={prefs.rate}
+                    onChange={e => setPrefs({ rate: Number(e.target.value) })}
+                    className="flex-1 accent-pink-500"
+                />
+                <span className="w-10 text-right font-mono">{prefs.rate.toFixed(1)}×</span>
+            </label>
+            {/* Browsers only allow speech after a tap on the page - this doubles as that tap */}
+            <button onClick={() => speak('Testing, one, two, three')} className="text-xs text-pink-400 hover:text-pink-300 underline">
+                Test voice
+            </button>
+        </div>
+    );
+}
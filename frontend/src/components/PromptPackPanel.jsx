@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+const CUSTOM_PACK_ID = 'custom';
+const MAX_PACK_NAME_LENGTH = 40; // the server rejects longer names
+
+export function PromptPackPanel({ socket, roomCode, selectedPacks, customPack, isHost, selfId }) {
+    const [packs, setPacks] = useState([]);
+    const [customText, setCustomText] = useState('');
+    const [customName, setCustomName] = useState('');
+    const [showEditor, setShowEditor] = useState(false);
+    const { send, pending, error } = useSocketAction(socket);
+
+    useEffect(() => {
+        fetch('/api/packs')
+            .then(res => res.json())
+            .then(setPacks)
+            .catch(err => console.error('Failed to load prompt packs:', err));
+    }, []);
+
+    const emit = (event, payload = {}) => send(event, { playerId: selfId, ...payload });
+
+    const togglePack = (packId) => {
+        const packIds = selectedPacks.includes(packId)
+            ? selectedPacks.filter(id => id !== packId)
+            : [...selectedPacks, packId];
+        emit('select_packs', { packIds });
+    };
+
+    const handleUpload = async () => {
+        if (!customText.trim()) return;
+        const { ok } = await emit('upload_custom_pack', { content: customText, name: customName });
+        // Keep the editor open on failure so the host can fix the pack
+        if (!ok) return;
+        setShowEditor(false);
+        setCustomText('');
+        setCustomName('');
+    };
+
+    const handleFile = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        file.text().then(text => {
+            setCustomText(text);
+            // maxLength only limits typing, so a long file name has to be cut down here
+            if (!customName) setCustomName(file.name.replace(/\.(json|txt)$/i, '').slice(0, MAX_PACK_NAME_LENGTH));
+        });
+        e.target.value = '';
+    };
+
+    const allPacks = customPack
+        ? [...packs, { id: CUSTOM_PACK_ID, name: customPack.name, description: 'Uploaded by the host', promptCount: customPack.promptCount }]
+        : packs;
+    const visiblePacks = isHost ? allPacks : allPacks.filter(p => selectedPacks.includes(p.id));
+
+    return (
+        <div className="glass-panel p-6 w-full space-y-4 text-left">
+            <h3 className="text-sm font-bold uppercase tracking-wider text-white/60">Prompt Packs</h3>
+
+            <div className="grid gap-2">
+                {visiblePacks.map(pack => {
+                    const selected = selectedPacks.includes(pack.id);
+                    return (
+                        <button
+                            key={pack.id}
+                            onClick={() => isHost && togglePack(pack.id)}
+                            disabled={!isHost || pending}
+                            className={clsx(
+                                "flex items-center gap-3 p-3 rounded-lg text-left transition-colors disabled:cursor-default",
+                                selected ? "bg-cyan-500/20 ring-1 ring-cyan-500/60" : "bg-white/5 hover:bg-white/10"
+                            )}
+                        >
+                            {isHost && <span className="text-lg">{selected ? '☑' : '☐'}</span>}
+                            <div className="flex-1 min-w-0">
+                                <p className="font-bold truncate">{pack.name}</p>
+                                <p className="text-xs text-white/50 truncate">{pack.description}</p>
+                            </div>
+                            <span className="text-xs text-white/40 shrink-0">{pack.promptCount} prompts</span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {customPack && (
+                <div className="flex gap-4 text-sm">
+                    <a href={`/api/rooms/${roomCode}/pack`} download className="text-pink-400 hover:text-pink-300 underline">
+                        Export custom pack
+                    </a>
+                    {isHost && (
+                        <button onClick={() => emit('remove_custom_pack')} disabled={pending} className="text-red-300/80 hover:text-red-200 underline disabled:opacity-40">
+                            Remove it
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {isHost && (showEditor ? (
+                <div className="space-y-2 border-t border-white/10 pt-4">
+                    <input
+                        type="text"
+                        value={customName}
+                        onChange={e => setCustomName(e.target.value)}
+                        className="input-field"
+                        placeholder="Pack name"
+                        maxLength={MAX_PACK_NAME_LENGTH}
+                    />
+                    <textarea
+                        value={customText}
+                        onChange={e => setCustomText(e.target.value)}
+                        className="input-field min-h-[120px] text-sm resize-y"
+                        placeholder={'One prompt per line, or paste a JSON pack\nThings you shouldn\'t say at a wedding\nA terrible name for a boat'}
+                    />
+                    <div className="flex gap-2 items-center">
+                        <label className="text-sm text-pink-400 hover:text-pink-300 underline cursor-pointer">
+                            Upload file
+                            <input type="file" accept=".json,.txt,application/json,text/plain" onChange={handleFile} className="hidden" />
+                        </label>
+                        <div className="flex-1" />
+                        <button onClick={() => setShowEditor(false)} className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors">
+                            Cancel
+                        </button>
+                        <button onClick={handleUpload} disabled={!customText.trim() || pending} className="btn-primary py-2">
+                            {customPack ? 'Replace Pack' : 'Add Pack'}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button onClick={() => setShowEditor(true)} className="text-sm text-pink-400 hover:text-pink-300 underline">
+                    {customPack ? 'Replace custom pack' : '+ Add a custom pack'}
+                </button>
+            ))}
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+// Lets players write prompts for upcoming rounds. Other players' prompts stay secret;
+// the server only tells us how many are waiting.
+export function PromptQueuePanel({ socket, selfId, queueCount, myPrompts = [] }) {
+    const [text, setText] = useState('');
+    const { send, pending, error } = useSocketAction(socket);
+
+    const handleSubmit = async () => {
+        if (!text.trim() || pending) return;
+        const { ok } = await send('submit_prompt', { playerId: selfId, text });
+        if (ok) setText('');
+    };
+
+    const handleWithdraw = (promptId) => {
+        send('withdraw_prompt', { playerId: selfId, promptId });
+    };
+
+    return (
+        <div className="glass-panel p-6 w-full space-y-4 text-left">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-bold uppercase tracking-wider text-white/60">Write a Prompt</h3>
+                <span className="text-xs text-white/40">{queueCount} waiting in the queue</span>
+            </div>
+
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && handleSubmit()}
+                    className="input-field"
+                    placeholder="Things you shouldn't..."
+                    maxLength={200}
+                />
+                <button onClick={handleSubmit} disabled={!text.trim() || pending} className="btn-primary shrink-0">
+                    Add
+                </button>
+            </div>
+
+            {myPrompts.length > 0 && (
+                <div className="space-y-2">
+                    <p className="text-xs uppercase tracking-wider opacity-60">Your prompts (only you can see these)</p>
+                    {myPrompts.map(p => (
+                        <div key={p.id} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
+                            <span className="flex-1 text-sm">{p.text}</span>
+                            <button onClick={() => handleWithdraw(p.id)} disabled={pending} className="text-xs text-red-300/80 hover:text-red-200 underline disabled:opacity-40">
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+    );
+}
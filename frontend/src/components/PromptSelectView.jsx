@@ -0,0 +1,85 @@
+import React from 'react';
+import clsx from 'clsx';
+import { Avatar } from './Avatar';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+export function PromptSelectView({ socket, gameState, selfId }) {
+    const { currentRound, players, settings, rerollsRemaining } = gameState;
+    const { send, pending, error } = useSocketAction(socket);
+
+    const options = currentRound.promptOptions || [];
+    const votes = currentRound.promptVotes || {};
+    const isVoting = settings.promptSelection === 'vote';
+    const isReader = currentRound.readerId === selfId;
+    const readerPlayer = players.find(p => p.id === currentRound.readerId);
+    const myVote = votes[selfId];
+    const isSpectator = gameState.spectators?.some(s => s.id === selfId);
+    const canPick = !isSpectator && (isVoting || isReader);
+
+    const handlePick = (index) => {
+        send(isVoting ? 'vote_prompt' : 'choose_prompt', { playerId: selfId, index });
+    };
+
+    const handleReroll = () => {
+        send('reroll_prompts', { playerId: selfId });
+    };
+
+    return (
+        <div className="glass-panel w-full p-8 text-center space-y-6">
+            <div className="space-y-2">
+                <h3 className="text-xl font-bold text-pink-400 uppercase tracking-widest">
+                    {isVoting ? 'Vote for the Topic' : 'Choose the Topic'}
+                </h3>
+                {!isVoting && !isReader && (
+                    <div className="flex items-center justify-center gap-2 text-white/60">
+                        <Avatar seed={readerPlayer?.avatar} size="xs" />
+                        <span><span className="font-bold text-white">{readerPlayer?.name}</span> is picking...</span>
+                    </div>
+                )}
+                {isVoting && (
+                    <p className="text-sm text-white/60">
+                        {Object.keys(votes).length} / {players.filter(p => p.connected).length} voted
+                    </p>
+                )}
+            </div>
+
+            <div className="grid gap-3">
+                {options.map((text, index) => {
+                    const voteCount = Object.values(votes).filter(v => v === index).length;
+                    return (
+                        <button
+                            key={text}
+                            onClick={() => handlePick(index)}
+                            disabled={!canPick || pending}
+                            className={clsx(
+                                "p-4 rounded-xl border text-lg font-bold transition-all relative disabled:cursor-default",
+                                myVote === index
+                                    ? "bg-cyan-500/20 border-cyan-500 ring-2 ring-cyan-500"
+                                    : canPick
+                                        ? "bg-white/5 border-2 border-dashed border-white/30 hover:border-cyan-400 hover:bg-cyan-500/10 hover:scale-[1.02]"
+                                        : "bg-white/5 border-white/10"
+                            )}
+                        >
+                            {text}
+                            {isVoting && voteCount > 0 && (
+                                <span className="absolute top-2 right-3 text-xs font-black text-cyan-300">{voteCount}</span>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+
+            {isReader && (
+                <button
+                    onClick={handleReroll}
+                    disabled={rerollsRemaining <= 0 || pending}
+                    className="text-sm text-pink-400 hover:text-pink-300 underline disabled:opacity-40 disabled:no-underline disabled:cursor-not-allowed"
+                >
+                    🎲 Reroll options ({rerollsRemaining} left this game)
+                </button>
+            )}
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+    );
+}
@@ -1,13 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Avatar } from './Avatar';
 import clsx from 'clsx';
+import { countIdenticalAnswers } from '../utils/answers';
+import { AnswerReactions } from './AnswerReactions';
+import { RoundTimeline } from './RoundTimeline';
+import { ScoreBreakdown } from './ScoreBreakdown';
 
-export function RecapView({ previousRound, players, onNext, selfId }) {
+// Recap of the game's finished rounds (oldest first), opening on the latest one
+export function RecapView({ rounds, players, settings, onNext, nextLabel = 'Start Next Round', selfId, children }) {
+    const [selected, setSelected] = useState(null); // index into rounds, null = latest
+    const index = selected === null ? rounds.length - 1 : Math.min(selected, rounds.length - 1);
+    const previousRound = rounds[index];
     if (!previousRound) return null;
 
     // Sort players by score for the mini-scoreboard at bottom
     const sortedPlayers = [...players].sort((a, b) => b.score - a.score);
     const myPlayer = players.find(p => p.id === selfId);
+    const promptAuthor = players.find(p => p.id === previousRound.promptAuthorId);
+    const identicalCounts = countIdenticalAnswers(previousRound.answers);
+    // Survivor points depend on the scoring mode
+    const survivorPoints = (playerId) => previousRound.scoreBreakdown
+        .filter(b => b.playerId === playerId && b.reason === 'survivor')
+        .reduce((sum, b) => sum + b.points, 0);
 
     return (
         <div className="fixed inset-0 bg-gradient-to-br from-indigo-950/95 via-purple-950/95 to-pink-950/95 backdrop-blur-xl z-[100] flex flex-col animate-fade-in overflow-hidden">
@@ -18,29 +32,41 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
                         <h2 className="text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-pink-400 to-purple-400 uppercase tracking-widest">
                             Round Recap
                         </h2>
+                        {rounds.length > 1 && (
+                            <div className="flex items-center justify-center gap-4 text-sm text-white/60">
+                                <button
+                                    onClick={() => setSelected(index - 1)}
+                                    disabled={index === 0}
+                                    className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 disabled:opacity-30 transition-colors"
+                                >
+                                    ◀
+                                </button>
+                                <span className="font-bold">Round {previousRound.roundNumber}</span>
+                                <button
+                                    onClick={() => setSelected(index + 1)}
+                                    disabled={index === rounds.length - 1}
+                                    className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 disabled:opacity-30 transition-colors"
+                                >
+                                    ▶
+                                </button>
+                            </div>
+                        )}
                         <p className="text-2xl font-bold text-white/90">"{previousRound.prompt}"</p>
+                        {promptAuthor && (
+                            <p className="text-sm text-white/50">Prompt by <span className="font-bold text-pink-300">{promptAuthor.name}</span></p>
+                        )}
                     </div>
 
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        {previousRound.answers.map((ans, idx) => {
+                        {previousRound.answers.map((ans) => {
                             const author = players.find(p => p.id === ans.playerId);
-                            // Find all guesses targeting this answer
-                            // In previousRound.guesses: guesserId, targetId, correct
-                            // We want guesses where targetId === ans.playerId (meaning they guessed THIS person)
-                            // AND they guessed correctly (meaning they identified this answer)
-                            // OR they guessed incorrectly on this specific answer? 
-                            // Wait, the guess object has `answerText` and `targetId`. 
-                            // If I guessed "Pizza" belongs to "Bob", and "Pizza" was written by "Bob", that's a correct guess.
-                            // If I guessed "Pizza" belongs to "Alice", that's wrong.
-
-                            // Let's rely on `ans.playerId` to find who wrote it.
-
-                            const relevantGuesses = previousRound.guesses?.filter(g => g.answerText === ans.text) || [];
+                            // Every guess made on this answer (guesses carry the id of the answer they were about)
+                            const relevantGuesses = previousRound.guesses?.filter(g => g.answerId === ans.id) || [];
                             const correctGuess = relevantGuesses.find(g => g.correct);
                             const wrongGuesses = relevantGuesses.filter(g => !g.correct);
 
                             return (
-                                <div key={idx} className="glass-panel p-4 flex flex-col gap-3 relative overflow-hidden">
+                                <div key={ans.id} className="glass-panel p-4 flex flex-col gap-3 relative overflow-hidden">
                                     {/* Author Header */}
                                     <div className="flex items-center gap-3 border-b border-white/10 pb-3">
                                         <Avatar seed={author?.avatar} size="sm" />
@@ -50,8 +76,28 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
 
                                     <div className="py-2">
                                         <p className="text-xl font-medium leading-snug">"{ans.text}"</p>
+                                        {identicalCounts.get(ans.id) > 1 && (
+                                            <p className="text-xs font-bold text-yellow-300/80 mt-1">Great minds - {identicalCounts.get(ans.id)} players wrote this</p>
+                                        )}
                                     </div>
 
+                                    {/* Best answer vote (only when voting was on) */}
+                                    {previousRound.voteCounts && (
+                                        <div className="flex items-center gap-2 text-sm">
+                                            {previousRound.bestAnswerIds?.includes(ans.id) ? (
+                                                <>
+                                                    <span className="font-bold text-yellow-300">⭐ Best answer</span>
+                                                    <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full">+{settings.bestAnswerBonus}</span>
+                                                </>
+                                            ) : (
+                                                <span className="text-white/40">Best answer votes:</span>
+                                            )}
+                                            <span className="ml-auto text-white/60">{previousRound.voteCounts[ans.id] || 0} {previousRound.voteCounts[ans.id] === 1 ? 'vote' : 'votes'}</span>
+                                        </div>
+                                    )}
+
+                                    <AnswerReactions reactions={ans.reactions} />
+
                                     {/* Guesses Footer */}
                                     <div className="mt-auto pt-3 border-t border-white/10 text-sm space-y-2">
                                         {correctGuess ? (
@@ -61,7 +107,7 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
                                                     <Avatar seed={players.find(p => p.id === correctGuess.guesserId)?.avatar} size="xs" />
                                                     {players.find(p => p.id === correctGuess.guesserId)?.name}
                                                 </div>
-                                                <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full">+1</span>
+                                                <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full">+{settings.pointsPerCorrectGuess}</span>
                                             </div>
                                         ) : wrongGuesses.length === 0 ? (
                                             <div className="flex items-center gap-2 text-yellow-300 bg-yellow-500/10 px-2 py-1 rounded-lg">
@@ -70,7 +116,9 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
                                                     <span className="font-bold">Survived!</span>
                                                     <span className="text-xs opacity-70">Never guessed correctly</span>
                                                 </div>
-                                                <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full ml-auto">+1</span>
+                                                {survivorPoints(ans.playerId) > 0 && (
+                                                    <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full ml-auto">+{survivorPoints(ans.playerId)}</span>
+                                                )}
                                             </div>
                                         ) : (
                                             <div className="text-white/40 italic">Guessed incorrectly</div>
@@ -96,6 +144,11 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
                         })}
                     </div>
 
+                    <ScoreBreakdown breakdown={previousRound.scoreBreakdown} players={players} />
+
+                    <RoundTimeline round={previousRound} players={players} />
+
+                    {children}
                 </div>
             </div>
 
@@ -121,7 +174,7 @@ export function RecapView({ previousRound, players, onNext, selfId }) {
                         onClick={onNext}
                         className="btn-primary px-8 py-4 text-lg min-w-[200px] shadow-xl shadow-pink-500/20 hover:shadow-pink-500/40"
                     >
-                        Start Next Round
+                        {nextLabel}
                     </button>
                 </div>
             </div>
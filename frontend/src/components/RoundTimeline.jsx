@@ -0,0 +1,83 @@
+import React from 'react';
+import clsx from 'clsx';
+import { Avatar } from './Avatar';
+import { buildRoundTimeline } from '../utils/timeline';
+
+// Why the turn moved on (reasons recorded by the server in round.turnChanges)
+const HANDOFF_LABELS = {
+    wrong: 'Turn passes',
+    timeout: 'Time ran out - turn passes',
+    left: 'Left the game - turn passes',
+    away: 'Dropped out - turn passes'
+};
+
+// Step-by-step account of a round's guessing: every guess in order, who lost the turn, who got found out
+export function RoundTimeline({ round, players }) {
+    const events = buildRoundTimeline(round);
+    if (events.length === 0) return null;
+
+    const nameOf = (playerId) => players.find(p => p.id === playerId)?.name || 'Someone who left';
+    const avatarOf = (playerId) => players.find(p => p.id === playerId)?.avatar;
+    const answerText = (answerId) => round.answers.find(a => a.id === answerId)?.text;
+
+    return (
+        <div className="glass-panel p-4 space-y-3">
+            <h3 className="text-sm font-bold uppercase tracking-wider text-white/60">How it played out</h3>
+            <ol className="relative border-l border-white/10 ml-3 space-y-3">
+                {events.map((event, index) => (
+                    <li key={index} className="ml-5 relative">
+                        <span className={clsx(
+                            "absolute -left-[27px] top-1.5 w-3 h-3 rounded-full",
+                            event.type === 'guess' && (event.correct ? "bg-green-400" : "bg-red-400"),
+                            event.type === 'eliminated' && "bg-white/40",
+                            event.type === 'handoff' && "bg-cyan-400",
+                            event.type === 'survived' && "bg-yellow-400"
+                        )} />
+
+                        {event.type === 'guess' && (
+                            <div className="flex items-start gap-2 text-sm">
+                                <Avatar seed={avatarOf(event.guesserId)} size="xs" />
+                                <p className="flex-1">
+                                    <span className="font-bold">{nameOf(event.guesserId)}</span>
+                                    {' guessed '}
+                                    <span className="font-bold">{nameOf(event.targetId)}</span>
+                                    {' wrote '}
+                                    <span className="italic text-white/70">"{answerText(event.answerId)}"</span>
+                                    {' - '}
+                                    <span className={event.correct ? "text-green-300 font-bold" : "text-red-300 font-bold"}>
+                                        {event.correct ? 'correct!' : 'wrong'}
+                                    </span>
+                                </p>
+                                {event.at !== null && <span className="text-xs font-mono text-white/40 shrink-0">+{event.at}s</span>}
+                            </div>
+                        )}
+
+                        {event.type === 'eliminated' && (
+                            <p className="text-sm text-white/60">
+                                <span className="font-bold text-white/80">{nameOf(event.playerId)}</span> is out
+                                {event.place > 0 && <span className="text-white/40"> (#{event.place} to be found)</span>}
+                            </p>
+                        )}
+
+                        {event.type === 'handoff' && (
+                            <div className="flex items-start gap-2 text-sm text-cyan-200/80">
+                                <p className="flex-1">
+                                    {HANDOFF_LABELS[event.reason] || 'Turn passes'} from{' '}
+                                    <span className="font-bold">{nameOf(event.fromId)}</span> to{' '}
+                                    <span className="font-bold">{nameOf(event.toId)}</span>
+                                </p>
+                                {event.at !== null && <span className="text-xs font-mono text-white/40 shrink-0">+{event.at}s</span>}
+                            </div>
+                        )}
+
+                        {event.type === 'survived' && (
+                            <p className="text-sm text-yellow-300 font-bold">
+                                🏆 {nameOf(event.playerId)} survived to the end
+                            </p>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
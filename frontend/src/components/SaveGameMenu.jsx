@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+
+// "Save this game": links to the room's transcript in each format the server offers
+export function SaveGameMenu({ roomCode }) {
+    const [open, setOpen] = useState(false);
+    const base = `/api/rooms/${encodeURIComponent(roomCode)}/transcript`;
+
+    if (!open) {
+        return (
+            <button onClick={() => setOpen(true)} className="text-sm text-white/60 hover:text-white underline">
+                💾 Save this game
+            </button>
+        );
+    }
+
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-2 text-sm animate-fade-in">
+            <a href={`${base}?format=md`} download className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 font-bold transition-colors">
+                Markdown
+            </a>
+            <a href={`${base}?format=html`} target="_blank" rel="noreferrer" className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 font-bold transition-colors">
+                Printable page
+            </a>
+            <a href={`${base}?format=json`} download className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 font-bold transition-colors">
+                JSON
+            </a>
+            <button onClick={() => setOpen(false)} className="text-white/50 hover:text-white px-2">✕</button>
+        </div>
+    );
+}
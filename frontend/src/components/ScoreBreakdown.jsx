@@ -0,0 +1,48 @@
+import React from 'react';
+import { Avatar } from './Avatar';
+
+// Reasons the server gives in round.scoreBreakdown (see server/scoring.js)
+const REASON_LABELS = {
+    correct_guess: 'Correct guess',
+    survivor: 'Survivor',
+    fooled: 'Fooled the guessers',
+    outlasted: 'Outlasted others',
+    best_answer: 'Best answer'
+};
+
+// Who earned what this round, one row per player with the reasons summed up
+export function ScoreBreakdown({ breakdown = [], players }) {
+    if (breakdown.length === 0) return null;
+
+    const rows = new Map(); // playerId -> { total, reasons: { reason: points } }
+    breakdown.forEach(({ playerId, points, reason }) => {
+        const row = rows.get(playerId) || { total: 0, reasons: {} };
+        row.total += points;
+        row.reasons[reason] = (row.reasons[reason] || 0) + points;
+        rows.set(playerId, row);
+    });
+    const sorted = [...rows.entries()].sort((a, b) => b[1].total - a[1].total);
+
+    return (
+        <div className="glass-panel p-4 space-y-3">
+            <h3 className="text-sm font-bold uppercase tracking-wider text-white/60">Points this round</h3>
+            {sorted.map(([playerId, row]) => {
+                const player = players.find(p => p.id === playerId);
+                return (
+                    <div key={playerId} className="flex items-center gap-3">
+                        <Avatar seed={player?.avatar} size="xs" />
+                        <span className="font-bold w-28 truncate">{player?.name || 'Someone who left'}</span>
+                        <div className="flex-1 flex flex-wrap gap-1.5">
+                            {Object.entries(row.reasons).map(([reason, points]) => (
+                                <span key={reason} className="text-xs bg-white/10 px-2 py-0.5 rounded-full text-white/70">
+                                    {REASON_LABELS[reason] || reason} +{points}
+                                </span>
+                            ))}
+                        </div>
+                        <span className="text-lg font-black text-green-400">+{row.total}</span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -1,16 +1,16 @@
 import React from 'react';
 import { Avatar } from './Avatar';
 
-export function Scoreboard({ players, gameState, socket }) {
+export function Scoreboard({ players, title = 'Scoreboard', subtitle, children }) {
     const sortedPlayers = [...players].sort((a, b) => b.score - a.score);
 
     return (
         <div className="flex flex-col items-center gap-8 max-w-2xl mx-auto w-full animate-fade-in">
             <div className="text-center space-y-2">
                 <h2 className="text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-yellow-400 to-orange-500">
-                    Scoreboard
+                    {title}
                 </h2>
-                <p className="text-white/60">Round Complete!</p>
+                {subtitle && <p className="text-white/60">{subtitle}</p>}
             </div>
 
             <div className="w-full space-y-4">
@@ -30,12 +30,7 @@ export function Scoreboard({ players, gameState, socket }) {
                 ))}
             </div>
 
-            <button
-                onClick={() => socket.emit('next_round')}
-                className="btn-primary w-full max-w-xs text-xl mt-8"
-            >
-                Next Round
-            </button>
+            {children}
         </div>
     );
 }
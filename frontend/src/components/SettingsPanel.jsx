@@ -0,0 +1,257 @@
+import React from 'react';
+import clsx from 'clsx';
+import { useSocketAction } from '../hooks/useSocketAction';
+
+function formatSeconds(seconds) {
+    return seconds ? `${seconds}s` : 'Off';
+}
+
+function formatDropDelay(seconds) {
+    if (!seconds) return 'Never';
+    return seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
+
+// Mirrors the ranges in server/settings.js (the server has the final say)
+const NUMBER_FIELDS = [
+    { key: 'pointsPerCorrectGuess', label: 'Points per correct guess', min: 0, max: 10 },
+    { key: 'survivorBonus', label: 'Survivor bonus', min: 0, max: 10, scoringMode: 'classic' },
+    { key: 'pointsPerFooledGuess', label: 'Points per wrong guess on your answer', min: 0, max: 10, scoringMode: 'fooled' },
+    { key: 'pointsPerOutlasted', label: 'Points per player found out before you', min: 0, max: 10, scoringMode: 'fooled' },
+    { key: 'minPlayers', label: 'Min players', min: 3, max: 20 },
+    { key: 'maxPlayers', label: 'Max players', min: 3, max: 20 },
+    { key: 'answerMaxLength', label: 'Answer character limit', min: 20, max: 500, step: 10 },
+    { key: 'writingTimeLimit', label: 'Writing time limit', min: 0, max: 600, step: 15, format: formatSeconds },
+    { key: 'guessTimeLimit', label: 'Time per guess', min: 0, max: 300, step: 5, format: formatSeconds },
+    { key: 'reconnectGracePeriod', label: 'Wait for disconnected players', min: 5, max: 120, step: 5, format: formatSeconds },
+    { key: 'dropDisconnectedAfter', label: 'Remove disconnected players after', min: 0, max: 1800, step: 60, format: formatDropDelay }
+];
+
+const TOGGLE_FIELDS = [
+    { key: 'playerPrompts', label: 'Players write the prompts' },
+    { key: 'keepDisconnectedAnswers', label: "Keep removed players' answers" }
+];
+
+const PROMPT_SELECTION_MODES = [
+    { value: 'off', label: 'Random' },
+    { value: 'reader', label: 'Reader picks' },
+    { value: 'vote', label: 'Everyone votes' }
+];
+
+// Mirrors server/scoring.js
+const SCORING_MODES = [
+    { value: 'classic', label: 'Classic', description: 'Points for guessing right, plus a bonus for the last answer standing' },
+    { value: 'fooled', label: 'Fool the guessers', description: 'Authors also score for every wrong guess on their answer and for every player found out before them' }
+];
+
+const NARRATOR_MODES = [
+    { value: 'off', label: 'Off' },
+    { value: 'reader', label: "Reader's phone" },
+    { value: 'display', label: 'TV display' }
+];
+
+const WIN_CONDITIONS = [
+    { value: 'points', label: 'Points' },
+    { value: 'rounds', label: 'Rounds' },
+    { value: 'endless', label: 'Endless' }
+];
+
+function describeWinCondition(settings) {
+    if (settings.winCondition === 'points') return `First to ${settings.targetScore} points wins`;
+    if (settings.winCondition === 'rounds') return `${settings.roundLimit} rounds, highest score wins`;
+    return 'Endless - play until the host ends the game';
+}
+
+export function SettingsPanel({ socket, settings, isHost, selfId }) {
+    const { send, error } = useSocketAction(socket);
+
+    const update = (changes) => {
+        send('update_settings', { playerId: selfId, settings: changes });
+    };
+
+    const stepper = (key, value, min, max, step = 1, format = String) => (
+        <div className="flex items-center gap-2">
+            {isHost && (
+                <button
+                    onClick={() => update({ [key]: Math.max(min, value - step) })}
+                    disabled={value <= min}
+                    className="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 font-bold disabled:opacity-30"
+                >
+                    −
+                </button>
+            )}
+            <span className="w-12 text-center font-black text-pink-300">{format(value)}</span>
+            {isHost && (
+                <button
+                    onClick={() => update({ [key]: Math.min(max, value + step) })}
+                    disabled={value >= max}
+                    className="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 font-bold disabled:opacity-30"
+                >
+                    +
+                </button>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="glass-panel p-6 w-full space-y-4 text-left">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-bold uppercase tracking-wider text-white/60">Game Settings</h3>
+                {!isHost && <span className="text-xs text-white/40 italic">Set by the host</span>}
+            </div>
+
+            <div className="space-y-2">
+                <p className="font-bold">{describeWinCondition(settings)}</p>
+                {isHost && (
+                    <div className="flex gap-2">
+                        {WIN_CONDITIONS.map(({ value, label }) => (
+                            <button
+                                key={value}
+                                onClick={() => update({ winCondition: value })}
+                                className={clsx(
+                                    "flex-1 py-2 rounded-lg font-bold text-sm transition-colors",
+                                    settings.winCondition === value ? "bg-cyan-500/40 ring-2 ring-cyan-500" : "bg-white/10 hover:bg-white/20"
+                                )}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {isHost && settings.winCondition === 'points' && (
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm text-white/80">Target score</span>
+                        {stepper('targetScore', settings.targetScore, 1, 100)}
+                    </div>
+                )}
+                {isHost && settings.winCondition === 'rounds' && (
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm text-white/80">Number of rounds</span>
+                        {stepper('roundLimit', settings.roundLimit, 1, 50)}
+                    </div>
+                )}
+            </div>
+
+            <div className="space-y-2 border-t border-white/10 pt-4">
+                <span className="text-sm text-white/80">Scoring</span>
+                <div className="flex gap-2">
+                    {SCORING_MODES.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            onClick={() => update({ scoringMode: value })}
+                            disabled={!isHost}
+                            className={clsx(
+                                "flex-1 py-2 rounded-lg font-bold text-sm transition-colors disabled:cursor-default",
+                                settings.scoringMode === value ? "bg-cyan-500/40 ring-2 ring-cyan-500" : "bg-white/10 hover:bg-white/20"
+                            )}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-white/50">{SCORING_MODES.find(m => m.value === settings.scoringMode)?.description}</p>
+            </div>
+
+            <div className="space-y-2 border-t border-white/10 pt-4">
+                {NUMBER_FIELDS.filter(f => !f.scoringMode || f.scoringMode === settings.scoringMode).map(({ key, label, min, max, step, format }) => (
+                    <div key={key} className="flex items-center justify-between">
+                        <span className="text-sm text-white/80">{label}</span>
+                        {stepper(key, settings[key], min, max, step, format)}
+                    </div>
+                ))}
+            </div>
+
+            <div className="space-y-2 border-t border-white/10 pt-4">
+                <span className="text-sm text-white/80">Choosing the prompt</span>
+                <div className="flex gap-2">
+                    {PROMPT_SELECTION_MODES.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            onClick={() => update({ promptSelection: value })}
+                            disabled={!isHost}
+                            className={clsx(
+                                "flex-1 py-2 rounded-lg font-bold text-sm transition-colors disabled:cursor-default",
+                                settings.promptSelection === value ? "bg-cyan-500/40 ring-2 ring-cyan-500" : "bg-white/10 hover:bg-white/20"
+                            )}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {settings.promptSelection !== 'off' && (
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm text-white/80">Rerolls per game</span>
+                        {stepper('promptRerolls', settings.promptRerolls, 0, 10)}
+                    </div>
+                )}
+                {TOGGLE_FIELDS.map(({ key, label }) => (
+                    <div key={key} className="flex items-center justify-between">
+                        <span className="text-sm text-white/80">{label}</span>
+                        <button
+                            onClick={() => update({ [key]: !settings[key] })}
+                            disabled={!isHost}
+                            className={clsx(
+                                "w-16 py-1 rounded-full text-sm font-bold transition-colors disabled:cursor-default",
+                                settings[key] ? "bg-cyan-500/40 ring-1 ring-cyan-500 text-cyan-100" : "bg-white/10 text-white/50"
+                            )}
+                        >
+                            {settings[key] ? 'On' : 'Off'}
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            <div className="space-y-2 border-t border-white/10 pt-4">
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-white/80">Vote for the best answer after each round</span>
+                    <button
+                        onClick={() => update({ bestAnswerVoting: !settings.bestAnswerVoting })}
+                        disabled={!isHost}
+                        className={clsx(
+                            "w-16 py-1 rounded-full text-sm font-bold transition-colors disabled:cursor-default",
+                            settings.bestAnswerVoting ? "bg-cyan-500/40 ring-1 ring-cyan-500 text-cyan-100" : "bg-white/10 text-white/50"
+                        )}
+                    >
+                        {settings.bestAnswerVoting ? 'On' : 'Off'}
+                    </button>
+                </div>
+                {settings.bestAnswerVoting && (
+                    <>
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm text-white/80">Best answer bonus</span>
+                            {stepper('bestAnswerBonus', settings.bestAnswerBonus, 0, 10)}
+                        </div>
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm text-white/80">Time to vote</span>
+                            {stepper('votingTimeLimit', settings.votingTimeLimit, 0, 120, 5, formatSeconds)}
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="space-y-2 border-t border-white/10 pt-4">
+                <span className="text-sm text-white/80">Read answers aloud</span>
+                <div className="flex gap-2">
+                    {NARRATOR_MODES.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            onClick={() => update({ narrator: value })}
+                            disabled={!isHost}
+                            className={clsx(
+                                "flex-1 py-2 rounded-lg font-bold text-sm transition-colors disabled:cursor-default",
+                                settings.narrator === value ? "bg-cyan-500/40 ring-2 ring-cyan-500" : "bg-white/10 hover:bg-white/20"
+                            )}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-white/80">Reveal answers automatically</span>
+                    {stepper('autoRevealInterval', settings.autoRevealInterval, 0, 60, 2, formatSeconds)}
+                </div>
+            </div>
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Avatar } from './Avatar';
+
+// Tells a spectator they're watching read-only, and when (if ever) they'll get a seat
+export function SpectatorBanner({ spectator }) {
+    if (!spectator) return null;
+
+    return (
+        <div className="w-full flex items-center justify-center gap-3 px-4 py-2 rounded-full bg-sky-500/15 border border-sky-400/40 text-sm text-sky-100">
+            <Avatar seed={spectator.avatar} size="xs" />
+            <span>
+                <span className="font-bold">👀 Spectating</span>
+                {spectator.joiningNextRound
+                    ? ' - you\'ll join the game when the next round starts'
+                    : ' - sit back and enjoy the show'}
+            </span>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+
+function formatPercent(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+// Lifetime stats for everyone who has played on this server (from /api/stats).
+// Players are matched by name across games, so highlightName marks "you".
+export function StatsView({ onClose, highlightName }) {
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [expanded, setExpanded] = useState(highlightName || null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch('/api/stats')
+            .then(res => res.json())
+            .then(data => {
+                if (!cancelled) setStats(data);
+            })
+            .catch(() => {
+                if (!cancelled) setError("Couldn't load the stats");
+            });
+        return () => { cancelled = true; };
+    }, []);
+
+    const visible = (stats || []).filter(s => s.name.toLowerCase().includes(filter.trim().toLowerCase()));
+
+    return (
+        <div className="fixed inset-0 bg-gradient-to-br from-indigo-950/95 via-purple-950/95 to-pink-950/95 backdrop-blur-xl z-[100] flex flex-col animate-fade-in overflow-hidden">
+            <div className="flex-1 overflow-y-auto custom-scrollbar p-6">
+                <div className="max-w-3xl mx-auto space-y-6">
+                    <div className="flex items-center justify-between pt-4">
+                        <h2 className="text-3xl font-black text-transparent bg-clip-text bg-gradient-to-r from-pink-400 to-purple-400 uppercase tracking-widest">
+                            Player Stats
+                        </h2>
+                        <button onClick={onClose} className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg font-bold transition-colors">
+                            Close
+                        </button>
+                    </div>
+
+                    <input
+                        type="text"
+                        value={filter}
+                        onChange={e => setFilter(e.target.value)}
+                        className="input-field"
+                        placeholder="Find a player..."
+                    />
+
+                    {error && <p className="text-red-300">{error}</p>}
+                    {!stats && !error && <p className="animate-pulse text-white/60">Loading...</p>}
+                    {stats && stats.length === 0 && (
+                        <p className="text-white/60 italic">No finished rounds yet - play a game and check back!</p>
+                    )}
+
+                    <div className="space-y-3">
+                        {visible.map((s, i) => (
+                            <div
+                                key={s.name}
+                                className={clsx("glass-panel p-4 space-y-3 animate-slide-up", s.name === highlightName && "ring-2 ring-pink-500")}
+                                style={{ animationDelay: `${Math.min(i, 10) * 50}ms` }}
+                            >
+                                <button onClick={() => setExpanded(expanded === s.name ? null : s.name)} className="w-full flex items-center gap-4 text-left">
+                                    <span className="flex-1 font-bold text-xl truncate">{s.name}</span>
+                                    <span className="text-xs text-white/50">{s.gamesPlayed} games · {s.roundsPlayed} rounds</span>
+                                    <span className="text-2xl font-black text-pink-400">{s.points}</span>
+                                </button>
+
+                                <div className="grid grid-cols-2 gap-3 text-center">
+                                    <div className="bg-white/5 rounded-lg p-2">
+                                        <p className="text-2xl font-black text-cyan-300">{formatPercent(s.accuracy)}</p>
+                                        <p className="text-xs uppercase tracking-wider text-white/50">Guess accuracy ({s.correctGuesses}/{s.guesses})</p>
+                                    </div>
+                                    <div className="bg-white/5 rounded-lg p-2">
+                                        <p className="text-2xl font-black text-yellow-300">{formatPercent(s.survivalRate)}</p>
+                                        <p className="text-xs uppercase tracking-wider text-white/50">Survival rate ({s.survivals}/{s.answersWritten})</p>
+                                    </div>
+                                </div>
+
+                                {expanded === s.name && (
+                                    <div className="space-y-1 text-sm animate-fade-in">
+                                        <p className="text-xs uppercase tracking-wider text-white/50">Favorite prompts</p>
+                                        {s.favoritePrompts.length === 0 ? (
+                                            <p className="text-white/40 italic">None yet - score some points first</p>
+                                        ) : s.favoritePrompts.map(({ prompt, points }, index) => (
+                                            <div key={index} className="flex items-center gap-2">
+                                                <span className="flex-1">"{prompt}"</span>
+                                                <span className="text-xs font-black text-green-400 bg-green-500/20 px-1.5 py-0.5 rounded-full">+{points}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
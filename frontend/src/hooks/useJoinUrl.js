@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+
+// Home networks first, then other private ranges
+const LAN_PREFERENCE = [/^192\.168\./, /^10\./, /^172\.(1[6-9]|2\d|3[01])\./];
+
+export const isLocalHost = (hostname) => hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+
+// Best LAN address from /api/ip ({ interfaceName: [addresses] })
+function pickLanAddress(interfaces) {
+    const addresses = Object.values(interfaces).flat();
+    for (const pattern of LAN_PREFERENCE) {
+        const match = addresses.find(address => pattern.test(address));
+        if (match) return match;
+    }
+    return addresses[0] || null;
+}
+
+// The URL other devices should open to join roomCode. When this page was opened on localhost
+// (e.g. the host's laptop) that isn't reachable by phones, so the server's LAN address is used instead.
+export function useJoinUrl(roomCode) {
+    const { protocol, hostname, port } = window.location;
+    const [lanAddress, setLanAddress] = useState(null);
+
+    useEffect(() => {
+        if (!isLocalHost(hostname)) return;
+
+        let cancelled = false;
+        fetch('/api/ip')
+            .then(res => res.json())
+            .then(interfaces => {
+                if (!cancelled) setLanAddress(pickLanAddress(interfaces));
+            })
+            .catch(() => {}); // Stay on the page's own address
+        return () => { cancelled = true; };
+    }, [hostname]);
+
+    const host = isLocalHost(hostname) && lanAddress ? lanAddress : hostname;
+    const origin = `${protocol}//${host}${port ? `:${port}` : ''}`;
+    return roomCode ? `${origin}/?room=${roomCode}` : origin;
+}
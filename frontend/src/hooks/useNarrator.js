@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const PREFS_KEY = 'got_narrator';
+const DEFAULT_PREFS = { voiceURI: null, rate: 1 };
+
+const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+function loadPrefs() {
+    try {
+        return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY)) };
+    } catch {
+        return DEFAULT_PREFS;
+    }
+}
+
+// Voice and speed live on the device doing the talking (which voices exist differs per browser),
+// so they're kept in localStorage rather than in the room's settings.
+export function useNarratorPrefs() {
+    const [prefs, setPrefsState] = useState(loadPrefs);
+    const [voices, setVoices] = useState([]);
+
+    useEffect(() => {
+        if (!speechSupported()) return;
+        // Most browsers load their voice list asynchronously
+        const loadVoices = () => setVoices(window.speechSynthesis.getVoices());
+        loadVoices();
+        window.speechSynthesis.addEventListener('voiceschanged', loadVoices);
+        return () => window.speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+    }, []);
+
+    const setPrefs = useCallback((changes) => {
+        setPrefsState(current => {
+            const next = { ...current, ...changes };
+            localStorage.setItem(PREFS_KEY, JSON.stringify(next));
+            return next;
+        });
+    }, []);
+
+    const speak = useCallback((text) => {
+        if (!speechSupported() || !text) return;
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === prefs.voiceURI);
+        if (voice) utterance.voice = voice;
+        utterance.rate = prefs.rate;
+        // Queued behind anything still being read
+        window.speechSynthesis.speak(utterance);
+    }, [prefs]);
+
+    return { prefs, setPrefs, voices, speak, supported: speechSupported() };
+}
+
+// Reads the prompt when READING starts and then each answer as it's revealed.
+// Anything already revealed when narration starts (e.g. after a reload) is skipped rather than replayed.
+export function useNarration({ enabled, status, currentRound, speak }) {
+    const spokenRef = useRef(null); // { prompt, answerIds: Set }
+
+    useEffect(() => {
+        if (!enabled || !['READING', 'GUESSING'].includes(status)) return;
+
+        const revealed = currentRound.answers.filter(a => a.isRevealed && a.text);
+        if (spokenRef.current?.prompt !== currentRound.prompt) {
+            const joinedLate = status !== 'READING' || revealed.length > 0;
+            spokenRef.current = {
+                prompt: currentRound.prompt,
+                answerIds: new Set(joinedLate ? revealed.map(a => a.id) : [])
+            };
+            if (!joinedLate) speak(currentRound.prompt);
+        }
+
+        const { answerIds } = spokenRef.current;
+        revealed.forEach(answer => {
+            if (answerIds.has(answer.id)) return;
+            answerIds.add(answer.id);
+            speak(answer.text);
+        });
+    }, [enabled, status, currentRound.prompt, currentRound.answers, speak]);
+
+    // Stop talking when narration is switched off or this view goes away
+    useEffect(() => {
+        if (!enabled || !speechSupported()) return;
+        return () => window.speechSynthesis.cancel();
+    }, [enabled]);
+}
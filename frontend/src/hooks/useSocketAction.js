@@ -0,0 +1,26 @@
+import { useCallback, useState } from 'react';
+
+// How long to wait for the server to acknowledge an action before giving up
+const ACK_TIMEOUT_MS = 8000;
+
+// Sends player actions that the server answers with an { ok, error } ack.
+// `pending` is true while a request is in flight (disable the buttons), `error` holds the last refusal.
+export function useSocketAction(socket) {
+    const [pending, setPending] = useState(false);
+    const [error, setError] = useState(null);
+
+    const send = useCallback((event, payload = {}) => {
+        setPending(true);
+        setError(null);
+        return new Promise(resolve => {
+            socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (timeoutError, response) => {
+                const result = timeoutError ? { ok: false, error: "The server didn't respond - try again" } : response;
+                setPending(false);
+                if (!result.ok) setError(result.error);
+                resolve(result);
+            });
+        });
+    }, [socket]);
+
+    return { send, pending, error, setError };
+}
@@ -1,10 +1,17 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+
+// /display is the shared TV screen - a separate app that watches a room instead of joining it.
+// Loaded lazily so each page only opens the socket it needs.
+const Root = window.location.pathname.startsWith('/display')
+  ? lazy(() => import('./DisplayApp.jsx'))
+  : lazy(() => import('./App.jsx'))
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Suspense fallback={null}>
+      <Root />
+    </Suspense>
   </StrictMode>,
 )
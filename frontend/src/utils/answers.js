@@ -0,0 +1,18 @@
+// Identical answers (ignoring case, spacing and trailing punctuation) are common for some prompts.
+// They're still separate answers with their own ids; this just lets the UI point them out.
+export function normalizeAnswer(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+}
+
+// answer id -> how many answers (including itself) share its text; only answers with visible text count
+export function countIdenticalAnswers(answers) {
+    const byText = new Map();
+    answers.filter(a => a.text).forEach(a => {
+        const key = normalizeAnswer(a.text);
+        byText.set(key, (byText.get(key) || 0) + 1);
+    });
+
+    const counts = new Map();
+    answers.filter(a => a.text).forEach(a => counts.set(a.id, byText.get(normalizeAnswer(a.text))));
+    return counts;
+}
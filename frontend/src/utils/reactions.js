@@ -0,0 +1,10 @@
+// Mirrors REACTION_EMOJIS in server/gameState.js
+export const REACTION_EMOJIS = ['😂', '🔥', '😱', '👏', '💀', '❤️'];
+
+// [emoji, count] pairs for the reactions an answer actually got, most popular first
+export function tallyReactions(reactions = {}) {
+    return Object.entries(reactions)
+        .map(([emoji, playerIds]) => [emoji, playerIds.length])
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1]);
+}
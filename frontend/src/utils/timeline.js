@@ -0,0 +1,55 @@
+// Turns a finished round into an ordered list of what happened during guessing.
+// Built from the server's records: round.guesses, round.turnChanges and round.eliminationOrder:
+//   { type: 'guess', guesserId, targetId, answerId, correct, at }
+//   { type: 'eliminated', playerId, place }        - their answer was just found out (place 1 = first out)
+//   { type: 'handoff', fromId, toId, reason, at }  - turn passed on ('wrong', 'timeout', 'left' or 'away')
+//   { type: 'survived', playerId }                 - last answer standing
+// `at` is seconds since the first guess or turn change.
+export function buildRoundTimeline(round) {
+    const guesses = round.guesses || [];
+    const turnChanges = round.turnChanges || [];
+    const eliminationOrder = round.eliminationOrder || [];
+
+    // Guesses come first on equal timestamps - a wrong guess and the turn passing happen together
+    const records = [
+        ...guesses.map(guess => ({ kind: 'guess', timestamp: guess.timestamp, guess })),
+        ...turnChanges.map(change => ({ kind: 'handoff', timestamp: change.timestamp, change }))
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    const start = records[0]?.timestamp;
+    const secondsIn = (timestamp) => start ? Math.round((timestamp - start) / 1000) : null;
+    const events = [];
+
+    records.forEach(record => {
+        if (record.kind === 'handoff') {
+            const { fromId, toId, reason, timestamp } = record.change;
+            events.push({ type: 'handoff', fromId, toId, reason, at: secondsIn(timestamp) });
+            return;
+        }
+
+        const { guess } = record;
+        events.push({
+            type: 'guess',
+            guesserId: guess.guesserId,
+            targetId: guess.targetId,
+            answerId: guess.answerId,
+            correct: guess.correct,
+            at: secondsIn(guess.timestamp)
+        });
+
+        if (guess.correct) {
+            events.push({
+                type: 'eliminated',
+                playerId: guess.targetId,
+                place: eliminationOrder.indexOf(guess.targetId) + 1
+            });
+        }
+    });
+
+    // The survivor is added to the end of the elimination order without ever being guessed
+    const lastStanding = eliminationOrder[eliminationOrder.length - 1];
+    if (lastStanding && !guesses.some(g => g.correct && g.targetId === lastStanding)) {
+        events.push({ type: 'survived', playerId: lastStanding });
+    }
+    return events;
+}
@@ -0,0 +1,5 @@
+// How many of the players voting is waiting on have voted (someone who voted then dropped out isn't counted)
+export function countVoted(round) {
+    const voterIds = round.bestAnswerVoterIds || [];
+    return round.eligibleVoterIds.filter(id => voterIds.includes(id)).length;
+}
@@ -0,0 +1,88 @@
+// End-of-game awards, computed from the rounds archived in GameState.roundHistory
+
+function tallyStats(roundHistory, players) {
+    const stats = {};
+    players.forEach(p => {
+        stats[p.id] = { correctGuesses: 0, wrongGuesses: 0, survivals: 0, wrongGuessesReceived: 0 };
+    });
+
+    for (const round of roundHistory) {
+        for (const guess of round.guesses) {
+            const guesser = stats[guess.guesserId];
+            if (!guesser) continue;
+            if (guess.correct) {
+                guesser.correctGuesses++;
+            } else {
+                guesser.wrongGuesses++;
+            }
+        }
+
+        for (const answer of round.answers) {
+            const author = stats[answer.playerId];
+            if (!author) continue;
+            author.wrongGuessesReceived += answer.wrongGuesses.length;
+            // Never guessed correctly = survived the round
+            if (!answer.isGuessed) author.survivals++;
+        }
+    }
+    return stats;
+}
+
+// Player with the highest `primary` stat (ties broken by `tieBreak`, higher wins). Null if nobody scored.
+function pickLeader(stats, primary, tieBreak) {
+    let best = null;
+    for (const [playerId, s] of Object.entries(stats)) {
+        if (s[primary] <= 0) continue;
+        if (!best
+            || s[primary] > best.stats[primary]
+            || (s[primary] === best.stats[primary] && tieBreak(s) > tieBreak(best.stats))) {
+            best = { playerId, stats: s };
+        }
+    }
+    return best;
+}
+
+function computeAwards(roundHistory, players) {
+    const stats = tallyStats(roundHistory, players);
+    const awards = [];
+
+    const bestGuesser = pickLeader(stats, 'correctGuesses', s => -s.wrongGuesses);
+    if (bestGuesser) {
+        awards.push({
+            id: 'best_guesser',
+            title: 'Best Guesser',
+            emoji: '🔍',
+            playerId: bestGuesser.playerId,
+            value: bestGuesser.stats.correctGuesses,
+            description: `${bestGuesser.stats.correctGuesses} correct guesses`
+        });
+    }
+
+    const mostElusive = pickLeader(stats, 'survivals', s => s.wrongGuessesReceived);
+    if (mostElusive) {
+        awards.push({
+            id: 'most_elusive',
+            title: 'Most Elusive Writer',
+            emoji: '🥷',
+            playerId: mostElusive.playerId,
+            value: mostElusive.stats.survivals,
+            description: `Survived ${mostElusive.stats.survivals} round${mostElusive.stats.survivals === 1 ? '' : 's'} unguessed`
+        });
+    }
+
+    const mostMisread = pickLeader(stats, 'wrongGuessesReceived', s => s.survivals);
+    if (mostMisread) {
+        awards.push({
+            id: 'most_wrong_guesses_received',
+            title: 'Master of Disguise',
+            emoji: '🎭',
+            playerId: mostMisread.playerId,
+            value: mostMisread.stats.wrongGuessesReceived,
+            description: `Fooled guessers ${mostMisread.stats.wrongGuessesReceived} time${mostMisread.stats.wrongGuessesReceived === 1 ? '' : 's'}`
+        });
+    }
+
+    return awards;
+}
+
+module.exports = { computeAwards };
@@ -1,21 +1,57 @@
-const prompts = require('./prompts');
+const { DEFAULT_PACK_ID, CUSTOM_PACK_ID, getPack, parseCustomPack } = require('./promptPacks');
+const { DEFAULT_SETTINGS, validateSettings } = require('./settings');
+const { computeAwards } = require('./awards');
+const { buildRoundRecord } = require('./stats');
+const { getScoringMode } = require('./scoring');
 
-const { randomUUID } = require('crypto');
+const { randomUUID, randomBytes, timingSafeEqual } = require('crypto');
+
+const MAX_PROMPT_LENGTH = 200;
+const MAX_QUEUED_PROMPTS_PER_PLAYER = 5;
+const PROMPT_OPTION_COUNT = 3;
+const MAX_SPECTATORS = 20;
+const MAX_CHAT_MESSAGES = 50; // older messages are dropped
+const REACTION_EMOJIS = ['😂', '🔥', '😱', '👏', '💀', '❤️'];
+const HALL_OF_FAME_SIZE = 10;
+const ROUND_OVER_PAUSE = 3.5; // seconds to take in the final guess before moving on
+
+function createEmptyRound() {
+    return {
+        prompt: '',
+        answers: [], // { id, playerId, text, isRevealed, isGuessed, wrongGuesses, reactions: { emoji: [playerIds] } }
+        guesses: [], // { guesserId, targetId, answerId, correct, timestamp }
+        readerId: null,
+        guessedPlayers: [], // ids of players whose answers have been guessed
+        eliminationOrder: [], // array of player IDs in the order they were eliminated
+        turnChanges: [], // { fromId, toId, reason: 'wrong' | 'timeout' | 'left' | 'away', timestamp }
+        scoreBreakdown: [] // { playerId, points, reason } for every point handed out this round
+    };
+}
 
 class GameState {
-    constructor() {
-        this.players = []; // { id, socketId, name, avatar, score, connected }
-        this.status = 'LOBBY'; // LOBBY, WRITING, READING, GUESSING, SCORING
-        this.currentRound = {
-            prompt: '',
-            answers: [], // { playerId, text, revealed }
-            guesses: [], // { guesserId, targetId, authorId, correct }
-            readerId: null,
-            guessedPlayers: [], // ids of players whose answers have been guessed
-            eliminationOrder: [] // array of player IDs in the order they were eliminated
-        };
+    constructor(code) {
+        this.code = code; // room join code
+        this.players = []; // { id, sessionToken, socketId, name, avatar, score, connected, disconnectedAt, away }
+        this.spectators = []; // { id, sessionToken, socketId, name, avatar, connected, disconnectedAt, wantsToPlay }
+        this.hostId = null; // player who can start/moderate the game (first joiner, transferable)
+        this.status = 'LOBBY'; // LOBBY, PROMPT_SELECT, WRITING, READING, GUESSING, ROUND_OVER, VOTING, GAME_OVER
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.gameId = null; // new for every game played in this room (groups rounds in the history)
+        this.roundNumber = 0; // 1-based once the game has started
+        this.rerollsRemaining = 0; // PROMPT_SELECT rerolls left this game
+        this.phaseDeadline = null; // ms timestamp when the current phase (or guessing turn) times out
+        this.currentRound = createEmptyRound();
         this.previousRoundEliminationOrder = []; // store elimination order from the previous round
+        this.roundHistory = []; // every completed round of the current game, oldest first
+        this.roundStartScores = {}; // playerId -> score when the current round began (for score deltas)
+        this.completedRounds = []; // round records not yet handed to the history store (see takeCompletedRounds)
+        this.awards = []; // computed when the game ends
+        this.hallOfFame = []; // best-voted answers of the current game, most votes first
         this.usedPrompts = new Set();
+        this.selectedPacks = [DEFAULT_PACK_ID]; // pack ids prompts are drawn from
+        this.customPack = null; // { id: 'custom', name, description, prompts } uploaded by the host
+        this.promptQueue = []; // { id, text, authorId } written by players (playerPrompts mode)
+        this.chat = []; // { id, playerId, name, avatar, text, timestamp }, newest last
         this.minigameState = {
             popCounts: {}, // playerId -> count
             poppedBubbles: [], // list of slot indices
@@ -23,37 +59,109 @@ class GameState {
         };
     }
 
-    addPlayer(socketId, name, avatar) {
-        // Check if name already taken and append a counter if so
+    isFull() {
+        return this.players.length >= this.settings.maxPlayers;
+    }
+
+    updateSettings(changes) {
+        if (this.status !== 'LOBBY') return { success: false, message: 'Settings can only be changed in the lobby' };
+
+        const { settings, error } = validateSettings(this.settings, changes);
+        if (error) return { success: false, message: error };
+
+        this.settings = settings;
+        return { success: true };
+    }
+
+    // Append a counter if the name is already taken by a player or spectator
+    uniqueName(name) {
         let finalName = name;
         let counter = 2;
-        while (this.players.some(p => p.name === finalName)) {
+        while ([...this.players, ...this.spectators].some(p => p.name === finalName)) {
             finalName = `${name} ${counter}`;
             counter++;
         }
+        return finalName;
+    }
 
+    addPlayer(socketId, name, avatar) {
         const player = {
-            id: randomUUID(),
+            id: randomUUID(), // public - every client sees it
+            sessionToken: randomBytes(24).toString('hex'), // secret - only ever sent to the player themselves
             socketId,
-            name: finalName,
+            name: this.uniqueName(name),
             avatar,
             score: 0,
-            connected: true
+            connected: true,
+            disconnectedAt: null,
+            away: false // disconnected for longer than the grace period - skipped until they return
         };
         this.players.push(player);
+
+        // First player in becomes the host
+        if (!this.hostId) {
+            this.hostId = player.id;
+        }
         return player;
     }
 
-    rejoinPlayer(socketId, playerId) {
+    // Player IDs are public, so taking over a player also needs their session token
+    verifySession(player, sessionToken) {
+        if (!player?.sessionToken || typeof sessionToken !== 'string') return false;
+        const expected = Buffer.from(player.sessionToken);
+        const given = Buffer.from(sessionToken);
+        return expected.length === given.length && timingSafeEqual(expected, given);
+    }
+
+    rejoinPlayer(socketId, playerId, sessionToken) {
+        const spectator = this.spectators.find(s => s.id === playerId);
+        if (spectator) {
+            if (!this.verifySession(spectator, sessionToken)) return null;
+            this.markConnected(spectator, socketId);
+            return spectator;
+        }
+
         const player = this.players.find(p => p.id === playerId);
-        if (player) {
-            player.socketId = socketId;
-            player.connected = true;
+        if (player && this.verifySession(player, sessionToken)) {
+            this.markConnected(player, socketId);
+
+            // Nobody is around to run the game - the returning player takes over
+            const host = this.players.find(p => p.id === this.hostId);
+            if (!host || !host.connected) {
+                this.hostId = player.id;
+            }
             return player;
         }
         return null;
     }
 
+    isHost(playerId) {
+        return !!playerId && this.hostId === playerId;
+    }
+
+    transferHost(playerId) {
+        if (!this.players.some(p => p.id === playerId)) return false;
+        this.hostId = playerId;
+        return true;
+    }
+
+    // Hand the host role to the next connected player (if there is one)
+    migrateHost() {
+        const currentIndex = this.players.findIndex(p => p.id === this.hostId);
+        for (let i = 1; i <= this.players.length; i++) {
+            const candidate = this.players[(currentIndex + i) % this.players.length];
+            if (candidate.connected && candidate.id !== this.hostId) {
+                this.hostId = candidate.id;
+                return;
+            }
+        }
+
+        // Host left entirely and nobody else is connected - pick anyone so the room stays usable
+        if (!this.players.some(p => p.id === this.hostId)) {
+            this.hostId = this.players[0]?.id || null;
+        }
+    }
+
     // Helper function to shuffle an array using Fisher-Yates algorithm
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
@@ -64,53 +172,781 @@ class GameState {
     }
 
     disconnectPlayer(socketId) {
+        const spectator = this.spectators.find(s => s.socketId === socketId);
+        if (spectator) {
+            spectator.connected = false;
+            spectator.disconnectedAt = Date.now();
+            return;
+        }
+
         const player = this.players.find(p => p.socketId === socketId);
         if (player) {
             player.connected = false;
+            player.disconnectedAt = Date.now();
+
+            if (this.isHost(player.id)) {
+                this.migrateHost();
+            }
         }
     }
 
     removePlayer(socketId) {
-        const index = this.players.findIndex(p => p.socketId === socketId);
+        const player = this.findBySocketId(socketId);
+        if (player) {
+            this.removePlayerById(player.id);
+        }
+    }
+
+    // Removes a player or spectator; returns who was removed
+    removePlayerById(playerId) {
+        const spectatorIndex = this.spectators.findIndex(s => s.id === playerId);
+        if (spectatorIndex !== -1) {
+            return this.spectators.splice(spectatorIndex, 1)[0];
+        }
+
+        const index = this.players.findIndex(p => p.id === playerId);
+        if (index === -1) return null;
+
+        const wasHost = this.isHost(playerId);
+        if (wasHost) {
+            this.migrateHost();
+        }
+        const [player] = this.players.splice(index, 1);
+        if (wasHost && this.hostId === playerId) {
+            this.hostId = this.players[0]?.id || null;
+        }
+
+        if (this.status !== 'LOBBY') {
+            this.withdrawAnswer(playerId);
+        }
+        this.promptQueue = this.promptQueue.filter(p => p.authorId !== playerId);
+
+        this.checkAllAnswersIn();
+        return player;
+    }
+
+    // Pull a departed player's answer out of the round so nobody is left guessing an author who isn't there
+    withdrawAnswer(playerId) {
+        const round = this.currentRound;
+        const statusBefore = this.status;
+        const guesserBefore = round.guesserId;
+        const index = round.answers.findIndex(a => a.playerId === playerId && !a.isGuessed);
         if (index !== -1) {
-            this.players.splice(index, 1);
+            round.answers.splice(index, 1);
+            // Answers are revealed in order, so keep the reveal cursor pointing at the same next answer
+            if (index < round.revealedCount) {
+                round.revealedCount--;
+            }
         }
 
-        // Same check for WRITING phase
-        if (this.status === 'WRITING') {
-            const writers = this.players.filter(p => p.connected);
-            if (this.currentRound.answers.length >= writers.length && writers.length > 0) {
-                this.shuffleArray(this.currentRound.answers);
-                this.status = 'READING';
+        if (this.status === 'READING' && round.answers.length > 0 && round.revealedCount >= round.answers.length) {
+            this.status = 'GUESSING';
+        }
+
+        if (this.status === 'GUESSING') {
+            if (round.guesserId === playerId || !this.players.some(p => p.id === round.guesserId)) {
+                this.advanceTurn('left');
+            }
+            this.checkRoundOver();
+        }
+
+        if (round.readerId === playerId && ['PROMPT_SELECT', 'WRITING', 'READING'].includes(this.status)) {
+            round.readerId = this.nextConnectedPlayerId(playerId);
+        }
+
+        if (this.status === 'PROMPT_SELECT' && round.promptVotes) {
+            delete round.promptVotes[playerId];
+            this.checkPromptVotes();
+        }
+
+        if (this.status === 'VOTING') {
+            delete round.bestAnswerVotes[playerId];
+            this.checkBestAnswerVotes();
+        }
+
+        if (this.status !== statusBefore || round.guesserId !== guesserBefore) {
+            this.refreshDeadline();
+        }
+    }
+
+    // Next connected player after the given one in seating order
+    nextConnectedPlayerId(afterPlayerId) {
+        const startIndex = this.players.findIndex(p => p.id === afterPlayerId);
+        for (let i = 1; i <= this.players.length; i++) {
+            const candidate = this.players[(startIndex + i) % this.players.length];
+            if (candidate.connected && candidate.id !== afterPlayerId) {
+                return candidate.id;
+            }
+        }
+        return this.players[0]?.id || null;
+    }
+
+    // ========== Spectators ==========
+    // People who join mid-game watch the current round read-only and take a seat when the next
+    // round starts. Anyone can also join as a spectator on purpose ("just watch"); they stay one.
+
+    // Player or spectator on this socket (used to pick which view a socket gets)
+    findBySocketId(socketId) {
+        return this.players.find(p => p.socketId === socketId)
+            || this.spectators.find(s => s.socketId === socketId)
+            || null;
+    }
+
+    // Only the lobby seats people straight away - a round in progress has already handed out its prompt
+    canJoinAsPlayer() {
+        return this.status === 'LOBBY';
+    }
+
+    canAddSpectator() {
+        return this.spectators.length < MAX_SPECTATORS;
+    }
+
+    addSpectator(socketId, name, avatar, wantsToPlay) {
+        const spectator = {
+            id: randomUUID(),
+            sessionToken: randomBytes(24).toString('hex'),
+            socketId,
+            name: this.uniqueName(name),
+            avatar,
+            connected: true,
+            disconnectedAt: null,
+            wantsToPlay // false for people who chose to just watch
+        };
+        this.spectators.push(spectator);
+        return spectator;
+    }
+
+    // Round boundary: seat everyone who is waiting to play (while there's room).
+    // Offline spectators keep waiting rather than joining as a player the game has to wait on.
+    promoteSpectators() {
+        this.spectators = this.spectators.filter(spectator => {
+            if (!spectator.wantsToPlay || !spectator.connected || this.isFull()) return true;
+
+            const { wantsToPlay, ...player } = spectator;
+            this.players.push({ ...player, score: 0, away: false });
+            return false;
+        });
+    }
+
+    // ========== Disconnects ==========
+    // A dropped player gets reconnectGracePeriod seconds during which the game waits for them.
+    // After that they're "away": skipped as reader/guesser and not waited on. Once
+    // dropDisconnectedAfter has passed they're removed from the room altogether.
+
+    markConnected(player, socketId) {
+        player.socketId = socketId;
+        player.connected = true;
+        player.disconnectedAt = null;
+        player.away = false;
+    }
+
+    // Players the game still waits on (connected, or disconnected but within the grace period)
+    activePlayers() {
+        return this.players.filter(p => !p.away);
+    }
+
+    // Grace period is over - stop letting this player hold up the round
+    markAway(player) {
+        const round = this.currentRound;
+        const statusBefore = this.status;
+        const guesserBefore = round.guesserId;
+        player.away = true;
+
+        if (round.readerId === player.id && ['PROMPT_SELECT', 'WRITING', 'READING'].includes(this.status)) {
+            round.readerId = this.nextConnectedPlayerId(player.id);
+        }
+        if (this.status === 'PROMPT_SELECT') {
+            this.checkPromptVotes();
+        }
+        if (this.status === 'VOTING') {
+            this.checkBestAnswerVotes();
+        }
+        this.checkAllAnswersIn();
+        if (this.status === 'GUESSING' && round.guesserId === player.id) {
+            this.advanceTurn('away');
+            this.checkRoundOver();
+        }
+
+        if (this.status !== statusBefore || round.guesserId !== guesserBefore) {
+            this.refreshDeadline();
+        }
+    }
+
+    // Whether an away player can be removed right now without breaking the round in progress
+    canDropPlayer(player) {
+        // Leave the finished round alone - it's being voted on or the recap is about to show it
+        if (this.status === 'ROUND_OVER' || this.status === 'VOTING') return false;
+
+        if (this.settings.keepDisconnectedAnswers && ['WRITING', 'READING', 'GUESSING'].includes(this.status)) {
+            return !this.currentRound.answers.some(a => a.playerId === player.id && !a.isGuessed);
+        }
+        return true;
+    }
+
+    // When the next grace period / removal is due (ms timestamp), or null if nothing is pending
+    nextDisconnectDeadline() {
+        const { reconnectGracePeriod, dropDisconnectedAfter } = this.settings;
+        let next = null;
+        for (const player of this.players) {
+            if (player.connected) continue;
+
+            let due = null;
+            if (!player.away) {
+                due = player.disconnectedAt + reconnectGracePeriod * 1000;
+            } else if (dropDisconnectedAfter && this.canDropPlayer(player)) {
+                due = player.disconnectedAt + dropDisconnectedAfter * 1000;
+            }
+            if (due !== null && (next === null || due < next)) next = due;
+        }
+        // Spectators hold nothing up, so they only ever get removed
+        if (dropDisconnectedAfter) {
+            for (const spectator of this.spectators) {
+                if (spectator.connected) continue;
+                const due = spectator.disconnectedAt + dropDisconnectedAfter * 1000;
+                if (next === null || due < next) next = due;
             }
         }
+        return next;
+    }
+
+    // Called by the server's timer; returns whether anything changed and which players were removed
+    handleDisconnectTimeouts(now = Date.now()) {
+        const { reconnectGracePeriod, dropDisconnectedAfter } = this.settings;
+        let changed = false;
+        const removed = [];
+        for (const player of [...this.players]) {
+            if (player.connected) continue;
+            const elapsed = now - player.disconnectedAt;
+
+            if (!player.away && elapsed >= reconnectGracePeriod * 1000) {
+                this.markAway(player);
+                changed = true;
+            }
+            if (player.away && dropDisconnectedAfter && elapsed >= dropDisconnectedAfter * 1000 && this.canDropPlayer(player)) {
+                removed.push(this.removePlayerById(player.id));
+                changed = true;
+            }
+        }
+        if (dropDisconnectedAfter) {
+            const before = this.spectators.length;
+            this.spectators = this.spectators.filter(s => s.connected || now - s.disconnectedAt < dropDisconnectedAfter * 1000);
+            if (this.spectators.length !== before) changed = true;
+        }
+        return { changed, removed };
+    }
+
+    // ========== Host Moderation ==========
+
+    skipReader() {
+        if (!['PROMPT_SELECT', 'WRITING', 'READING'].includes(this.status)) return false;
+        this.currentRound.readerId = this.nextConnectedPlayerId(this.currentRound.readerId);
+        return true;
+    }
+
+    // Stop waiting for stragglers and move on with whatever has been submitted
+    forceEndWriting() {
+        if (this.status === 'PROMPT_SELECT') {
+            this.lockPromptOption(this.leadingPromptOption());
+            return true;
+        }
+        if (this.status !== 'WRITING') return false;
+        if (this.currentRound.answers.length < 2) return false;
+        this.startReading();
+        return true;
     }
 
+    // Host pulled the plug - go straight to the final results
+    endGame() {
+        if (this.status === 'LOBBY' || this.status === 'GAME_OVER') return false;
+        this.finishGame();
+        return true;
+    }
+
+    // =====================================
+
     startGame() {
-        if (this.players.filter(p => p.connected).length < 3) return false;
+        // A running or finished game goes back to the lobby first ("Play again" - resetToLobby)
+        if (this.status !== 'LOBBY') return { success: false, message: 'The game has already started' };
+        if (this.players.filter(p => p.connected).length < this.settings.minPlayers) {
+            return { success: false, message: `Need at least ${this.settings.minPlayers} connected players to start` };
+        }
         this.players.forEach(p => p.score = 0);
         this.usedPrompts.clear();
+        this.gameId = randomUUID();
+        this.roundNumber = 0;
+        this.roundHistory = [];
+        this.awards = [];
+        this.hallOfFame = [];
+        this.rerollsRemaining = this.settings.promptRerolls;
         this.nextRound();
+        return { success: true };
+    }
+
+    hasReachedWinCondition() {
+        const { winCondition, targetScore, roundLimit } = this.settings;
+        if (winCondition === 'points') return this.players.some(p => p.score >= targetScore);
+        if (winCondition === 'rounds') return this.roundNumber >= roundLimit;
+        return false;
+    }
+
+    // Called once the ROUND_OVER pause is done (and again once voting closes, if it's on):
+    // either start the next round or end the game
+    finishRound() {
+        if (this.status === 'VOTING') {
+            this.closeVoting();
+        } else if (this.status === 'ROUND_OVER' && this.settings.bestAnswerVoting && !this.currentRound.voteCounts) {
+            this.startVoting();
+            return true;
+        }
+        if (this.status !== 'ROUND_OVER') return false;
+
+        if (this.hasReachedWinCondition()) {
+            this.finishGame();
+        } else {
+            this.nextRound();
+        }
         return true;
     }
 
-    nextRound() {
+    finishGame() {
+        // Ended before (or during) the vote - count what's in so the round still gets recorded
+        if (this.status === 'VOTING' || (this.status === 'ROUND_OVER' && this.settings.bestAnswerVoting && !this.currentRound.voteCounts)) {
+            this.closeVoting();
+        }
+        // Only fully played rounds count toward the awards
+        if (this.status === 'ROUND_OVER') {
+            this.archiveRound();
+        }
+        this.status = 'GAME_OVER';
+        this.awards = computeAwards(this.roundHistory, this.players);
+        this.refreshDeadline();
+    }
+
+    // "Play again": back to the lobby with the same players and fresh scores
+    resetToLobby() {
+        if (this.status !== 'GAME_OVER') return false;
+
+        this.status = 'LOBBY';
+        this.promoteSpectators();
+        this.players.forEach(p => p.score = 0);
+        this.currentRound = createEmptyRound();
+        this.previousRound = null;
+        this.previousRoundEliminationOrder = [];
+        this.roundHistory = [];
+        this.awards = [];
+        this.hallOfFame = [];
+        this.roundNumber = 0;
+        this.refreshDeadline();
+        return true;
+    }
+
+    // ========== Chat & Reactions ==========
+    // For remote games where people can't just talk across the table.
+
+    sendChatMessage(playerId, text) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return { success: false, message: "You're not in this game" };
+        // Anything said while writing could give an answer away
+        if (this.status === 'WRITING') return { success: false, message: 'Chat is paused while everyone is writing' };
+        if (!text) return { success: false, message: 'Message is empty' };
+
+        // Name/avatar are copied so messages still make sense after the sender leaves
+        this.chat.push({ id: randomUUID(), playerId, name: player.name, avatar: player.avatar, text, timestamp: Date.now() });
+        if (this.chat.length > MAX_CHAT_MESSAGES) {
+            this.chat.splice(0, this.chat.length - MAX_CHAT_MESSAGES);
+        }
+        return { success: true };
+    }
+
+    // Toggles the player's reaction on a revealed answer of the current round
+    reactToAnswer(playerId, answerId, emoji) {
+        if (!REACTION_EMOJIS.includes(emoji)) return { success: false, message: "That reaction isn't available" };
+        if (!['READING', 'GUESSING', 'ROUND_OVER', 'VOTING'].includes(this.status)) {
+            return { success: false, message: 'Answers can only be reacted to once they are revealed' };
+        }
+
+        const answer = this.currentRound.answers.find(a => a.id === answerId);
+        if (!answer || !answer.isRevealed) return { success: false, message: "That answer hasn't been revealed" };
+
+        if (!answer.reactions) answer.reactions = {};
+        const reactors = answer.reactions[emoji] || [];
+        answer.reactions[emoji] = reactors.includes(playerId)
+            ? reactors.filter(id => id !== playerId)
+            : [...reactors, playerId];
+        if (answer.reactions[emoji].length === 0) delete answer.reactions[emoji];
+        return { success: true };
+    }
+
+    // ========== Best Answer Voting ==========
+
+    startVoting() {
+        this.status = 'VOTING';
+        this.currentRound.bestAnswerVotes = {}; // playerId -> answerId, secret until voting closes
+        this.refreshDeadline();
+        this.checkBestAnswerVotes();
+    }
+
+    // Players who have at least one answer to vote for that isn't their own
+    eligibleVoters() {
+        return this.activePlayers().filter(p => this.currentRound.answers.some(a => a.playerId !== p.id));
+    }
+
+    voteBestAnswer(playerId, answerId) {
+        if (this.status !== 'VOTING') return { success: false, message: 'Voting is not open right now' };
+
+        const answer = this.currentRound.answers.find(a => a.id === answerId);
+        if (!answer) return { success: false, message: 'Answer not found' };
+        if (answer.playerId === playerId) return { success: false, message: "You can't vote for your own answer" };
+
+        this.currentRound.bestAnswerVotes[playerId] = answerId;
+        this.checkBestAnswerVotes();
+        return { success: true };
+    }
+
+    // Voting closes early once everyone who can vote has
+    checkBestAnswerVotes() {
+        const votes = this.currentRound.bestAnswerVotes;
+        const voters = this.eligibleVoters();
+        // Nobody left who can vote (e.g. the last player just left) - wait for the clock or the host
+        if (voters.length === 0) return;
+        if (voters.every(p => votes[p.id] !== undefined)) {
+            this.finishRound();
+        }
+    }
+
+    // Counts the votes, pays out the bonus (in full to every tied answer) and records the round
+    closeVoting() {
+        const round = this.currentRound;
+        const counts = {};
+        Object.values(round.bestAnswerVotes || {}).forEach(answerId => {
+            if (round.answers.some(a => a.id === answerId)) counts[answerId] = (counts[answerId] || 0) + 1;
+        });
+        const best = Math.max(0, ...Object.values(counts));
+
+        round.voteCounts = counts; // answerId -> votes (who voted for what stays secret)
+        round.bestAnswerIds = best > 0 ? round.answers.filter(a => counts[a.id] === best).map(a => a.id) : [];
+        delete round.bestAnswerVotes;
+
+        round.bestAnswerIds.forEach(answerId => {
+            const answer = round.answers.find(a => a.id === answerId);
+            this.awardPoints(answer.playerId, this.settings.bestAnswerBonus, 'best_answer');
+            this.hallOfFame.push({
+                roundNumber: this.roundNumber,
+                prompt: round.prompt,
+                text: answer.text,
+                playerId: answer.playerId,
+                votes: best
+            });
+        });
+        this.hallOfFame = this.hallOfFame
+            .sort((a, b) => b.votes - a.votes || a.roundNumber - b.roundNumber)
+            .slice(0, HALL_OF_FAME_SIZE);
+
+        this.status = 'ROUND_OVER';
+        this.phaseDeadline = null;
+        this.completedRounds.push(buildRoundRecord(this));
+    }
+
+    // ========== Prompt Packs ==========
+
+    getSelectedPack(id) {
+        return id === CUSTOM_PACK_ID ? this.customPack : getPack(id);
+    }
+
+    // Every prompt from the selected packs (falls back to the default pack so there's always something)
+    getPromptPool() {
+        const pool = new Set();
+        this.selectedPacks.forEach(id => {
+            this.getSelectedPack(id)?.prompts.forEach(p => pool.add(p));
+        });
+        if (pool.size === 0) {
+            return getPack(DEFAULT_PACK_ID).prompts;
+        }
+        return [...pool];
+    }
+
+    selectPacks(packIds) {
+        if (this.status !== 'LOBBY') return { success: false, message: 'Packs can only be changed in the lobby' };
+        if (!Array.isArray(packIds) || packIds.length === 0) return { success: false, message: 'Pick at least one pack' };
+
+        const unique = [...new Set(packIds)];
+        const unknown = unique.find(id => !this.getSelectedPack(id));
+        if (unknown) return { success: false, message: `Unknown pack: ${unknown}` };
+
+        this.selectedPacks = unique;
+        return { success: true };
+    }
+
+    setCustomPack(content, name) {
+        if (this.status !== 'LOBBY') return { success: false, message: 'Packs can only be changed in the lobby' };
+
+        const { pack, error } = parseCustomPack(content, name);
+        if (error) return { success: false, message: error };
+
+        this.customPack = pack;
+        // Uploading a pack implies you want to play it
+        if (!this.selectedPacks.includes(CUSTOM_PACK_ID)) {
+            this.selectedPacks.push(CUSTOM_PACK_ID);
+        }
+        return { success: true };
+    }
+
+    removeCustomPack() {
+        if (this.status !== 'LOBBY') return { success: false, message: 'Packs can only be changed in the lobby' };
+
+        this.customPack = null;
+        this.selectedPacks = this.selectedPacks.filter(id => id !== CUSTOM_PACK_ID);
+        if (this.selectedPacks.length === 0) {
+            this.selectedPacks = [DEFAULT_PACK_ID];
+        }
+        return { success: true };
+    }
+
+    // ========== Player Prompts ==========
+
+    submitPrompt(playerId, text) {
+        if (!this.settings.playerPrompts) return { success: false, message: 'Player prompts are turned off' };
+        if (this.status === 'GAME_OVER') return { success: false, message: 'The game is over' };
+        if (typeof text !== 'string' || !text.trim()) return { success: false, message: 'Prompt is empty' };
+
+        text = text.trim();
+        if (text.length > MAX_PROMPT_LENGTH) return { success: false, message: `Prompts are limited to ${MAX_PROMPT_LENGTH} characters` };
+        if (this.promptQueue.filter(p => p.authorId === playerId).length >= MAX_QUEUED_PROMPTS_PER_PLAYER) {
+            return { success: false, message: `You can only have ${MAX_QUEUED_PROMPTS_PER_PLAYER} prompts waiting` };
+        }
+        if (this.promptQueue.some(p => p.text.toLowerCase() === text.toLowerCase())) {
+            return { success: false, message: 'That prompt is already in the queue' };
+        }
+
+        this.promptQueue.push({ id: randomUUID(), text, authorId: playerId });
+        return { success: true };
+    }
+
+    withdrawPrompt(playerId, promptId) {
+        const index = this.promptQueue.findIndex(p => p.id === promptId && p.authorId === playerId);
+        if (index === -1) return { success: false, message: 'Prompt not found' };
+
+        this.promptQueue.splice(index, 1);
+        return { success: true };
+    }
+
+    // Take a random prompt out of the player queue (null if the mode is off or nothing is left)
+    drawQueuedPrompt(exclude = new Set()) {
+        if (!this.settings.playerPrompts) return null;
+
+        const candidates = this.promptQueue.filter(p => !exclude.has(p.text));
+        if (candidates.length === 0) return null;
+
+        const picked = candidates[Math.floor(Math.random() * candidates.length)];
+        this.promptQueue.splice(this.promptQueue.indexOf(picked), 1);
+        return picked;
+    }
+
+    // ========== Prompt Selection ==========
+
+    // Next prompt candidate: player-written prompts go first, otherwise a random unused prompt from the packs.
+    // Returns { text, queued } where queued is the prompt queue entry it came from (if any).
+    drawPrompt(exclude = new Set()) {
+        const queued = this.drawQueuedPrompt(exclude);
+        if (queued) return { text: queued.text, queued };
+
+        const prompts = this.getPromptPool().filter(p => !exclude.has(p));
+        let availablePrompts = prompts.filter(p => !this.usedPrompts.has(p));
+        if (availablePrompts.length === 0) {
+            this.usedPrompts.clear();
+            availablePrompts = prompts;
+        }
+        if (availablePrompts.length === 0) return null;
+
+        return { text: availablePrompts[Math.floor(Math.random() * availablePrompts.length)], queued: null };
+    }
+
+    drawPromptOptions(exclude = new Set()) {
+        const options = [];
+        const seen = new Set(exclude);
+        while (options.length < PROMPT_OPTION_COUNT) {
+            const option = this.drawPrompt(seen);
+            if (!option) break;
+            seen.add(option.text);
+            options.push(option);
+        }
+
+        // Tiny pools: allow repeats of the excluded ones rather than offering nothing
+        if (options.length === 0 && exclude.size > 0) {
+            return this.drawPromptOptions();
+        }
+        return options;
+    }
+
+    // Unchosen player prompts go back in the queue for a later round
+    releasePromptOptions(keep = null) {
+        (this.currentRound.promptOptions || []).forEach(option => {
+            if (option !== keep && option.queued) {
+                this.promptQueue.push(option.queued);
+            }
+        });
+    }
+
+    lockPrompt(option) {
+        const text = option?.text || getPack(DEFAULT_PACK_ID).prompts[0];
+        this.usedPrompts.add(text);
+        this.currentRound.prompt = text;
+        this.currentRound.promptAuthorId = option?.queued?.authorId || null;
+        delete this.currentRound.promptOptions;
+        delete this.currentRound.promptVotes;
+
         this.status = 'WRITING';
+        this.refreshDeadline();
+    }
+
+    lockPromptOption(index) {
+        const option = this.currentRound.promptOptions[index];
+        if (!option) return false;
+
+        this.releasePromptOptions(option);
+        this.lockPrompt(option);
+        return true;
+    }
+
+    // Reader mode: the reader picks one of the options
+    choosePrompt(playerId, index) {
+        if (this.status !== 'PROMPT_SELECT') return { success: false, message: 'Not choosing a prompt right now' };
+        if (this.settings.promptSelection !== 'reader') return { success: false, message: 'Prompts are being voted on' };
+        if (playerId !== this.currentRound.readerId) return { success: false, message: 'Only the reader picks the prompt' };
+        if (!this.lockPromptOption(index)) return { success: false, message: 'Unknown prompt option' };
+        return { success: true };
+    }
+
+    // Vote mode: everyone votes, the prompt locks in once all connected players have voted
+    votePrompt(playerId, index) {
+        if (this.status !== 'PROMPT_SELECT') return { success: false, message: 'Not choosing a prompt right now' };
+        if (this.settings.promptSelection !== 'vote') return { success: false, message: 'The reader is picking the prompt' };
+        if (!this.currentRound.promptOptions[index]) return { success: false, message: 'Unknown prompt option' };
+
+        this.currentRound.promptVotes[playerId] = index;
+        this.checkPromptVotes();
+        return { success: true };
+    }
+
+    checkPromptVotes() {
+        const voters = this.activePlayers();
+        const votes = this.currentRound.promptVotes;
+        if (voters.length > 0 && voters.every(p => votes[p.id] !== undefined)) {
+            this.lockPromptOption(this.leadingPromptOption());
+        }
+    }
+
+    // Option with the most votes (ties broken at random)
+    leadingPromptOption() {
+        const counts = this.currentRound.promptOptions.map(() => 0);
+        Object.values(this.currentRound.promptVotes || {}).forEach(index => counts[index]++);
+
+        const best = Math.max(...counts);
+        const leaders = counts.map((count, index) => count === best ? index : -1).filter(index => index !== -1);
+        return leaders[Math.floor(Math.random() * leaders.length)];
+    }
 
+    rerollPrompts(playerId) {
+        if (this.status !== 'PROMPT_SELECT') return { success: false, message: 'Not choosing a prompt right now' };
+        if (playerId !== this.currentRound.readerId) return { success: false, message: 'Only the reader can reroll' };
+        if (this.rerollsRemaining <= 0) return { success: false, message: 'No rerolls left this game' };
+
+        const previous = this.currentRound.promptOptions;
+        this.releasePromptOptions();
+        this.currentRound.promptOptions = this.drawPromptOptions(new Set(previous.map(o => o.text)));
+        this.currentRound.promptVotes = {};
+        this.rerollsRemaining--;
+        return { success: true };
+    }
+
+    // ========== Phase Timers ==========
+
+    // Restart the countdown for whatever phase/turn we're now in (null = no time limit)
+    refreshDeadline() {
+        const { writingTimeLimit, guessTimeLimit, autoRevealInterval, votingTimeLimit } = this.settings;
+        let seconds = 0;
+        if (this.status === 'WRITING') seconds = writingTimeLimit;
+        if (this.status === 'READING') seconds = autoRevealInterval; // time until the next answer reveals itself
+        if (this.status === 'GUESSING') seconds = guessTimeLimit;
+        if (this.status === 'VOTING') seconds = votingTimeLimit;
+        if (this.status === 'ROUND_OVER') seconds = ROUND_OVER_PAUSE;
+
+        this.phaseDeadline = seconds ? Date.now() + seconds * 1000 : null;
+    }
+
+    // Called by the server's timer once phaseDeadline has passed
+    handlePhaseTimeout() {
+        if (!this.phaseDeadline || Date.now() < this.phaseDeadline) return false;
+
+        if (this.status === 'WRITING') {
+            // Go with whatever made it in (clients auto-submit their drafts at the deadline)
+            if (this.currentRound.answers.length >= 2) {
+                this.startReading();
+            } else {
+                // Not enough answers to play a round - stop the clock and leave it to the host
+                this.phaseDeadline = null;
+            }
+            return true;
+        }
+
+        if (this.status === 'READING') {
+            // Hands-free reading: reveal the next answer (which restarts the clock)
+            return this.revealNextAnswer();
+        }
+
+        if (this.status === 'GUESSING') {
+            // Sleepy guesser forfeits their turn
+            this.advanceTurn('timeout');
+            this.refreshDeadline();
+            return true;
+        }
+
+        if (this.status === 'VOTING') {
+            // Go with the votes that are in
+            return this.finishRound();
+        }
+
+        if (this.status === 'ROUND_OVER') {
+            // Pause is over - on to the vote, the next round or the results
+            return this.finishRound();
+        }
+
+        this.phaseDeadline = null;
+        return false;
+    }
+
+    // ==================================
+
+    // Hands over (and forgets) the records of rounds finished since the last call
+    takeCompletedRounds() {
+        const records = this.completedRounds;
+        this.completedRounds = [];
+        return records;
+    }
+
+    archiveRound() {
         // Archive the current round (deep copy essential for arrays/objects)
         this.previousRound = JSON.parse(JSON.stringify(this.currentRound));
+        // Skipped rounds aren't archived, so a round's place in roundHistory isn't its number
+        this.previousRound.roundNumber = this.roundNumber;
 
         // Save the current round's elimination order as the previous round's elimination order
         this.previousRoundEliminationOrder = [...this.currentRound.eliminationOrder];
 
-        // Pick a random prompt
-        let availablePrompts = prompts.filter(p => !this.usedPrompts.has(p));
-        if (availablePrompts.length === 0) {
-            this.usedPrompts.clear();
-            availablePrompts = prompts;
+        // Only fully played rounds go into the game's history - not ones the host skipped mid-way
+        if (this.status === 'ROUND_OVER' && this.currentRound.prompt) {
+            this.roundHistory.push(this.previousRound);
         }
-        const prompt = availablePrompts[Math.floor(Math.random() * availablePrompts.length)];
-        this.usedPrompts.add(prompt);
+    }
+
+    nextRound() {
+        // An emptied room has nobody to deal in (it's about to be cleaned up anyway)
+        if (this.players.length === 0) return;
+        this.archiveRound();
+        this.status = 'WRITING';
+        this.roundNumber++;
+        this.promoteSpectators();
+        this.roundStartScores = Object.fromEntries(this.players.map(p => [p.id, p.score]));
 
         // Rotate reader to next CONNECTED player
         const currentReaderIndex = this.players.findIndex(p => p.id === this.currentRound.readerId);
@@ -125,12 +961,15 @@ class GameState {
         const readerId = this.players[nextReaderIndex]?.id || this.players[0].id;
 
         this.currentRound = {
-            prompt,
+            prompt: '',
+            promptAuthorId: null, // credited in the recap
             answers: [],
             guesses: [],
             readerId,
             guessedPlayers: [],
             eliminationOrder: [],
+            turnChanges: [],
+            scoreBreakdown: [],
             revealedCount: 0
         };
 
@@ -143,7 +982,7 @@ class GameState {
         if (this.previousRoundEliminationOrder && this.previousRoundEliminationOrder.length > 0) {
             // Find the first player in the previous round's elimination order who is still in the game
             for (const eliminatedPlayerId of this.previousRoundEliminationOrder) {
-                if (this.players.some(p => p.id === eliminatedPlayerId && p.connected)) {
+                if (this.players.some(p => p.id === eliminatedPlayerId && !p.away)) {
                     firstGuesserId = eliminatedPlayerId;
                     break;
                 }
@@ -152,18 +991,24 @@ class GameState {
             // If no eliminated players from the previous round are still in the game,
             // or the previous elimination order is empty, fall back to the default logic (player after reader)
             if (!firstGuesserId) {
-                const readerIndex = this.players.findIndex(p => p.id === readerId);
-                let fallbackGuesserIndex = (readerIndex + 1) % this.players.length;
-                firstGuesserId = this.players[fallbackGuesserIndex].id;
+                firstGuesserId = this.nextEligibleGuesser(this.players.findIndex(p => p.id === readerId));
             }
         } else {
             // This is the first round, use the default logic (player after reader)
-            const readerIndex = this.players.findIndex(p => p.id === readerId);
-            let firstGuesserIndex = (readerIndex + 1) % this.players.length;
-            firstGuesserId = this.players[firstGuesserIndex].id;
+            firstGuesserId = this.nextEligibleGuesser(this.players.findIndex(p => p.id === readerId));
         }
 
-        this.currentRound.guesserId = firstGuesserId;
+        this.currentRound.guesserId = firstGuesserId || readerId; // everyone's away - nobody better to wait on
+
+        if (this.settings.promptSelection === 'off') {
+            this.lockPrompt(this.drawPrompt());
+        } else {
+            // Reader picks (or everyone votes on) one of a few candidates before writing starts
+            this.status = 'PROMPT_SELECT';
+            this.currentRound.promptOptions = this.drawPromptOptions();
+            this.currentRound.promptVotes = {}; // playerId -> option index (vote mode)
+            this.refreshDeadline();
+        }
 
         // Reset minigame state for the new round
         this.minigameState = {
@@ -174,7 +1019,12 @@ class GameState {
     }
 
     submitAnswer(playerId, text) {
-        if (this.status !== 'WRITING') return false;
+        if (this.status !== 'WRITING') return { success: false, message: 'Answers are closed for this round' };
+        if (typeof text !== 'string' || !text.trim()) return { success: false, message: 'Write something first' };
+        text = text.trim();
+        if (text.length > this.settings.answerMaxLength) {
+            return { success: false, message: `Answers can be at most ${this.settings.answerMaxLength} characters` };
+        }
         // Reader CAN write now
         // if (playerId === this.currentRound.readerId) return false;
 
@@ -182,17 +1032,31 @@ class GameState {
         if (existing) {
             existing.text = text;
         } else {
-            this.currentRound.answers.push({ playerId, text, isRevealed: false, isGuessed: false, wrongGuesses: [] });
+            // Opaque id so guesses can't be confused between identical answers
+            this.currentRound.answers.push({ id: randomUUID(), playerId, text, isRevealed: false, isGuessed: false, wrongGuesses: [] });
         }
 
-        // Check if all players have submitted
-        // Grace period: give recently disconnected players 5 seconds to rejoin
-        if (this.currentRound.answers.length >= this.players.length) {
-            // Shuffle the answers to randomize the order they will be revealed in
-            this.shuffleArray(this.currentRound.answers);
-            this.status = 'READING';
+        this.checkAllAnswersIn();
+        return { success: true };
+    }
+
+    // Writing is done once everyone still in the game has submitted.
+    // Players who dropped out recently are waited for; once they're away they no longer hold things up.
+    checkAllAnswersIn() {
+        if (this.status !== 'WRITING') return;
+
+        const writers = this.activePlayers();
+        const answered = new Set(this.currentRound.answers.map(a => a.playerId));
+        if (writers.length > 0 && writers.every(p => answered.has(p.id))) {
+            this.startReading();
         }
-        return true;
+    }
+
+    startReading() {
+        // Shuffle the answers to randomize the order they will be revealed in
+        this.shuffleArray(this.currentRound.answers);
+        this.status = 'READING';
+        this.refreshDeadline();
     }
 
     revealNextAnswer() {
@@ -214,6 +1078,7 @@ class GameState {
             if (this.currentRound.revealedCount === this.currentRound.answers.length) {
                 this.status = 'GUESSING';
             }
+            this.refreshDeadline();
             return true;
         }
         return false;
@@ -221,25 +1086,20 @@ class GameState {
 
     startGuessing() {
         this.status = 'GUESSING';
+        this.refreshDeadline();
     }
 
-    makeGuess(guesserId, targetPlayerId, answerText) {
+    makeGuess(guesserId, targetPlayerId, answerId) {
         if (this.status !== 'GUESSING') return { success: false, message: 'Not guessing phase' };
         if (guesserId !== this.currentRound.guesserId) return { success: false, message: 'Not your turn' };
 
-        // Find the answer by text (since we might not know the ID on client side easily, or we can pass ID if we want)
-        // Actually, client should probably send the answer object or ID if we expose it.
-        // But answers are anonymous. We should probably index them or send text.
-        // Let's assume we send the answer text or a temporary ID for the answer.
-        // For simplicity, let's match by text (assuming unique answers, or handle duplicates).
-
-        const answer = this.currentRound.answers.find(a => a.text === answerText && !a.isGuessed);
+        const answer = this.currentRound.answers.find(a => a.id === answerId && !a.isGuessed);
         if (!answer) return { success: false, message: 'Answer not found or already guessed' };
 
         const guessData = {
             guesserId,
             targetId: targetPlayerId,
-            answerText,
+            answerId,
             correct: false,
             timestamp: Date.now()
         };
@@ -254,32 +1114,12 @@ class GameState {
             // Add the eliminated player to the elimination order
             this.currentRound.eliminationOrder.push(targetPlayerId);
 
-            const guesser = this.players.find(p => p.id === guesserId);
-            if (guesser) guesser.score += 1;
-
-            // Check if round over
-            const unguessedAnswers = this.currentRound.answers.filter(a => !a.isGuessed);
-            const answersNotBelongingToGuesser = unguessedAnswers.filter(a => a.playerId !== guesserId);
-
-            // Round over if all answers guessed OR the only remaining answer belongs to the guesser
-            if (unguessedAnswers.length === 0 || answersNotBelongingToGuesser.length === 0) {
-                // Award +1 point to the last remaining player (if any) whose answer wasn't guessed
-                // This usually happens if answersNotBelongingToGuesser.length === 0 but unguessedAnswers.length > 0
-                // The remaining answer belongs to the current guesser (who survived till the end)
-                if (unguessedAnswers.length === 1) {
-                    const survivorId = unguessedAnswers[0].playerId;
-                    const survivor = this.players.find(p => p.id === survivorId);
-                    if (survivor) {
-                        survivor.score += 1;
-                    }
-                    // Add the survivor to the elimination order as the last eliminated (survived the longest)
-                    this.currentRound.eliminationOrder.push(survivorId);
-                }
+            this.applyScoring(getScoringMode(this.settings.scoringMode).correctGuess(this, guessData));
 
-                this.status = 'ROUND_OVER';
-            }
+            this.checkRoundOver();
 
-            // Guesser goes again if correct
+            // Guesser goes again if correct (with a fresh clock)
+            this.refreshDeadline();
             return { success: true, correct: true, message: 'Correct!' };
         } else {
             // Incorrect guess
@@ -287,34 +1127,71 @@ class GameState {
             this.currentRound.guesses.push(guessData);
 
             // Turn passes to next non-eliminated player
-            this.advanceTurn();
+            this.advanceTurn('wrong');
+            this.refreshDeadline();
             return { success: true, correct: false, message: 'Incorrect.' };
         }
     }
 
-    advanceTurn() {
+    // Adds to a player's score and notes why in the round's breakdown (players who left get nothing)
+    awardPoints(playerId, points, reason) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || !points) return;
+        player.score += points;
+        this.currentRound.scoreBreakdown.push({ playerId, points, reason });
+    }
+
+    applyScoring(awards) {
+        awards.forEach(({ playerId, points, reason }) => this.awardPoints(playerId, points, reason));
+    }
+
+    checkRoundOver() {
+        if (this.status !== 'GUESSING') return false;
+
+        const guesserId = this.currentRound.guesserId;
+        const unguessedAnswers = this.currentRound.answers.filter(a => !a.isGuessed);
+        const answersNotBelongingToGuesser = unguessedAnswers.filter(a => a.playerId !== guesserId);
+
+        // Round over if all answers guessed OR the only remaining answer belongs to the guesser
+        if (unguessedAnswers.length === 0 || answersNotBelongingToGuesser.length === 0) {
+            // The last remaining answer (if any) belongs to the current guesser, who survived till the end.
+            // Add them to the elimination order as the last eliminated (survived the longest)
+            if (unguessedAnswers.length === 1) {
+                this.currentRound.eliminationOrder.push(unguessedAnswers[0].playerId);
+            }
+            this.applyScoring(getScoringMode(this.settings.scoringMode).roundOver(this));
+
+            this.status = 'ROUND_OVER';
+            // However the round ended (last guess, a player leaving), the pause moves it on
+            this.refreshDeadline();
+            // With voting on, the round is recorded once the votes are counted (closeVoting)
+            if (!this.settings.bestAnswerVoting) {
+                this.completedRounds.push(buildRoundRecord(this));
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // Passes the guessing turn on, noting why in the round's turnChanges (for the recap timeline)
+    advanceTurn(reason) {
+        const fromId = this.currentRound.guesserId;
+        this.pickNextGuesser();
+        const toId = this.currentRound.guesserId;
+        if (toId !== fromId) {
+            this.currentRound.turnChanges.push({ fromId, toId, reason, timestamp: Date.now() });
+        }
+    }
+
+    pickNextGuesser() {
         // Find the next player to guess based on the previous round's elimination order
         // This ensures all players get turns in the order they were eliminated last round
 
         // If there's no previous elimination order, fall back to the default sequential logic
         if (!this.previousRoundEliminationOrder || this.previousRoundEliminationOrder.length === 0) {
             // Original fallback logic: sequential order
-            let currentIndex = this.players.findIndex(p => p.id === this.currentRound.guesserId);
-            let nextIndex = (currentIndex + 1) % this.players.length;
-
-            // Loop until we find a valid guesser
-            let attempts = 0;
-            while (attempts < this.players.length) {
-                const p = this.players[nextIndex];
-                const isEliminated = this.currentRound.guessedPlayers.includes(p.id);
-
-                if (!isEliminated) {
-                    this.currentRound.guesserId = p.id;
-                    return;
-                }
-                nextIndex = (nextIndex + 1) % this.players.length;
-                attempts++;
-            }
+            const nextGuesserId = this.nextEligibleGuesser(this.players.findIndex(p => p.id === this.currentRound.guesserId));
+            if (nextGuesserId) this.currentRound.guesserId = nextGuesserId;
             return; // If no one found, round might be over
         }
 
@@ -331,7 +1208,7 @@ class GameState {
             const player = this.players.find(p => p.id === playerId);
 
             // Check if the player exists and hasn't been eliminated in the current round
-            if (player && !this.currentRound.guessedPlayers.includes(playerId)) {
+            if (player && !player.away && !this.currentRound.guessedPlayers.includes(playerId)) {
                 this.currentRound.guesserId = playerId;
                 return;
             }
@@ -342,21 +1219,18 @@ class GameState {
 
         // Fallback if no player found in elimination order (shouldn't happen in normal gameplay)
         // Use original logic
-        let fallbackIndex = this.players.findIndex(p => p.id === this.currentRound.guesserId);
-        let nextFallbackIndex = (fallbackIndex + 1) % this.players.length;
-
-        attempts = 0;
-        while (attempts < this.players.length) {
-            const p = this.players[nextFallbackIndex];
-            const isEliminated = this.currentRound.guessedPlayers.includes(p.id);
+        const fallbackGuesserId = this.nextEligibleGuesser(this.players.findIndex(p => p.id === this.currentRound.guesserId));
+        if (fallbackGuesserId) this.currentRound.guesserId = fallbackGuesserId;
+    }
 
-            if (!isEliminated) {
-                this.currentRound.guesserId = p.id;
-                return;
-            }
-            nextFallbackIndex = (nextFallbackIndex + 1) % this.players.length;
-            attempts++;
+    // Next player in seating order after the given index who can take a guessing turn:
+    // not away, and not already found out this round. Null if there's nobody.
+    nextEligibleGuesser(fromIndex) {
+        for (let i = 1; i <= this.players.length; i++) {
+            const p = this.players[(fromIndex + i) % this.players.length];
+            if (!p.away && !this.currentRound.guessedPlayers.includes(p.id)) return p.id;
         }
+        return null;
     }
 
     recordMinigamePop(playerId, bubbleId) {
@@ -383,6 +1257,30 @@ class GameState {
 
         return false;
     }
+
+    // ========== Persistence ==========
+
+    // Plain JSON-safe copy of the room for the store (see roomStore.js)
+    toSnapshot() {
+        return { ...this, usedPrompts: [...this.usedPrompts] };
+    }
+
+    static fromSnapshot(snapshot) {
+        const room = new GameState(snapshot.code);
+        Object.assign(room, snapshot, { usedPrompts: new Set(snapshot.usedPrompts) });
+
+        // Everyone was knocked offline by the restart; they come back through rejoin_game
+        const now = Date.now();
+        [...room.players, ...room.spectators].forEach(p => {
+            if (p.connected || !p.disconnectedAt) p.disconnectedAt = now; // fresh grace period to reconnect in
+            p.socketId = null;
+            p.connected = false;
+        });
+
+        // Give the current phase a fresh clock rather than timing people out while the server was down
+        room.refreshDeadline();
+        return room;
+    }
 }
 
 module.exports = GameState;
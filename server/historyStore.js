@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every completed round of every game is appended to a history store, so stats can be
+// kept across games and server restarts (see stats.js).
+// A history store is any object with:
+//   append(record)  -> persist one round record (see stats.buildRoundRecord)
+//   loadAll()       -> every record, oldest first
+// Records are never changed once written.
+
+// Keeps history for the lifetime of the process only
+class MemoryHistoryStore {
+    constructor() {
+        this.records = [];
+    }
+
+    append(record) {
+        this.records.push(record);
+    }
+
+    loadAll() {
+        return [...this.records];
+    }
+}
+
+// One JSON record per line - appends are cheap and a torn last line only loses that round
+class JsonLinesHistoryStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = null; // loaded on first use, then kept in memory
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    load() {
+        if (this.records) return this.records;
+
+        this.records = [];
+        if (!fs.existsSync(this.filePath)) return this.records;
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (err) {
+                console.error(`Skipping unreadable history line ${index + 1}:`, err.message);
+            }
+        });
+        return this.records;
+    }
+
+    append(record) {
+        this.load().push(record);
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        } catch (err) {
+            console.error('Failed to save round history:', err.message);
+        }
+    }
+
+    loadAll() {
+        return [...this.load()];
+    }
+}
+
+// GAME_STORE=memory turns persistence off; GAME_HISTORY_FILE moves the history file
+function createHistoryStore() {
+    if (process.env.GAME_STORE === 'memory') {
+        return new MemoryHistoryStore();
+    }
+    return new JsonLinesHistoryStore(process.env.GAME_HISTORY_FILE || path.join(__dirname, 'data', 'history.jsonl'));
+}
+
+module.exports = { MemoryHistoryStore, JsonLinesHistoryStore, createHistoryStore };
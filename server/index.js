@@ -3,7 +3,14 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const cors = require('cors');
-const GameState = require('./gameState');
+const RoomManager = require('./roomManager');
+const { createStore } = require('./roomStore');
+const { createHistoryStore } = require('./historyStore');
+const { computePlayerStats } = require('./stats');
+const { FORMATS: TRANSCRIPT_FORMATS, buildTranscript, toMarkdown, toHtml } = require('./transcript');
+const { buildStateView } = require('./stateView');
+const { listPacks } = require('./promptPacks');
+const { validatePayload, RateLimiter } = require('./validation');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,7 +22,7 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
-const gameState = new GameState();
+const rooms = new RoomManager(createStore(), createHistoryStore());
 
 // Serve static files from frontend build
 app.use(express.static(path.join(__dirname, '../frontend/dist')));
@@ -40,139 +47,508 @@ app.get('/api/ip', (req, res) => {
     res.json(results);
 });
 
+// Prompt packs available on this server (for the lobby selector)
+app.get('/api/packs', (req, res) => {
+    res.json(listPacks());
+});
+
+// Rounds from every game played on this server, newest first
+app.get('/api/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(rooms.history.loadAll().reverse().slice(0, limit));
+});
+
+// Lifetime stats per player name (accuracy, survival rate, favorite prompts...)
+app.get('/api/stats', (req, res) => {
+    res.json(computePlayerStats(rooms.history.loadAll()));
+});
+
+// Download a room's custom prompt pack so the group can reuse it later
+app.get('/api/rooms/:code/pack', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room || !room.customPack) {
+        return res.status(404).json({ error: 'No custom pack for this room' });
+    }
+
+    const { name, prompts } = room.customPack;
+    const fileName = name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() || 'custom-pack';
+    res.attachment(`${fileName}.json`);
+    res.json({ name, prompts });
+});
+
+// "Save this game": a transcript of every finished round so far (?format=json|md|html)
+app.get('/api/rooms/:code/transcript', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    const format = req.query.format || 'json';
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` });
+    }
+
+    const transcript = buildTranscript(room);
+    const fileName = `who-said-dis-${room.code.toLowerCase()}-${transcript.exportedAt.slice(0, 10)}`;
+    if (format === 'md') {
+        res.attachment(`${fileName}.md`);
+        res.type('text/markdown').send(toMarkdown(transcript));
+    } else if (format === 'html') {
+        // Opened in a tab to read or print, not downloaded
+        res.type('html').send(toHtml(transcript));
+    } else {
+        res.attachment(`${fileName}.json`);
+        res.json(transcript);
+    }
+});
+
+// Server-authoritative phase timers, one per room (deadlines live in GameState.phaseDeadline)
+const phaseTimers = new Map(); // room code -> { deadline, handle }
+// Extra time after a WRITING deadline for clients' auto-submitted drafts to arrive
+const AUTO_SUBMIT_GRACE_MS = 1500;
+
+const syncPhaseTimer = (room) => {
+    const existing = phaseTimers.get(room.code);
+    if (existing && existing.deadline === room.phaseDeadline) return;
+
+    if (existing) clearTimeout(existing.handle);
+    phaseTimers.delete(room.code);
+    if (!room.phaseDeadline) return;
+
+    const deadline = room.phaseDeadline;
+    const grace = room.status === 'WRITING' ? AUTO_SUBMIT_GRACE_MS : 0;
+    const handle = setTimeout(() => {
+        phaseTimers.delete(room.code);
+        // Room may have been torn down or moved on since
+        if (rooms.getRoom(room.code) !== room || room.phaseDeadline !== deadline) return;
+
+        if (room.handlePhaseTimeout()) {
+            broadcastState(room);
+        }
+    }, Math.max(0, deadline - Date.now()) + grace);
+    phaseTimers.set(room.code, { deadline, handle });
+};
+
+// Per-room timer for the disconnect lifecycle (grace period running out, removal of long-gone players)
+const disconnectTimers = new Map(); // room code -> { deadline, handle }
+
+const syncDisconnectTimer = (room) => {
+    const deadline = room.nextDisconnectDeadline();
+    const existing = disconnectTimers.get(room.code);
+    if (existing && existing.deadline === deadline) return;
+
+    if (existing) clearTimeout(existing.handle);
+    disconnectTimers.delete(room.code);
+    if (!deadline) return;
+
+    const handle = setTimeout(() => {
+        disconnectTimers.delete(room.code);
+        if (rooms.getRoom(room.code) !== room) return;
+
+        const { changed, removed } = room.handleDisconnectTimeouts();
+        removed.forEach(player => {
+            console.log(`Room ${room.code}: removed ${player.name} after being disconnected too long`);
+        });
+        if (changed) {
+            broadcastState(room);
+        } else {
+            syncDisconnectTimer(room);
+        }
+    }, Math.max(0, deadline - Date.now()));
+    disconnectTimers.set(room.code, { deadline, handle });
+};
+
+// Every socket gets its own redacted view of the room (see stateView.js).
+// All state changes end up here, so this is also where the room gets persisted.
+const broadcastState = (room) => {
+    syncPhaseTimer(room);
+    syncDisconnectTimer(room);
+    rooms.save(room);
+
+    const socketIds = io.sockets.adapter.rooms.get(room.code) || [];
+    for (const socketId of socketIds) {
+        const viewer = room.findBySocketId(socketId);
+        io.to(socketId).emit('state_update', buildStateView(room, viewer?.id));
+    }
+};
+
+// Standard replies for actions from sockets we can't match to a player / the host
+const NOT_IN_GAME = { error: "You're not in this game" };
+const NOT_HOST = { error: 'Only the host can do that' };
+
 io.on('connection', (socket) => {
     console.log('A user connected:', socket.id);
 
-    // Send current state to new user
-    socket.emit('state_update', gameState);
+    // The room this socket belongs to (set on create/join/rejoin)
+    const getRoom = () => rooms.getRoom(socket.data.roomCode);
+
+    const limiter = new RateLimiter();
+
+    // Every client event goes through here: it's rate limited, then its payload is checked and
+    // trimmed against the event's schema (validation.js) before the handler runs.
+    // Handlers return { error } to refuse an action; the outcome goes back through the client's
+    // ack callback as { ok, error }. Clients that don't ask for an ack only hear about bad
+    // input / flooding / handler crashes (as request_error).
+    const on = (event, handler) => {
+        socket.on(event, (payload, ack) => {
+            if (typeof payload === 'function') {
+                ack = payload;
+                payload = undefined;
+            }
+            const reject = (message) => {
+                if (typeof ack === 'function') {
+                    ack({ ok: false, error: message });
+                } else {
+                    socket.emit('request_error', { event, message });
+                }
+            };
+
+            if (!limiter.allow(event)) return reject('Too many requests - slow down');
 
-    socket.on('join_game', ({ name, avatar }) => {
-        const player = gameState.addPlayer(socket.id, name, avatar);
-        io.emit('state_update', gameState);
-        socket.emit('join_success', player); // Send back full player object with ID
-    });
+            const { value, error } = validatePayload(event, payload);
+            if (error) return reject(error);
+
+            let result;
+            try {
+                result = handler(value);
+            } catch (err) {
+                // A bug in one room must not take the whole server (and every other room) down
+                console.error(`Error handling ${event}:`, err);
+                return reject('Something went wrong');
+            }
+            if (typeof ack === 'function') {
+                ack(result?.error ? { ok: false, error: result.error } : { ok: true });
+            }
+        });
+    };
 
-    socket.on('rejoin_game', ({ playerId }) => {
-        const player = gameState.rejoinPlayer(socket.id, playerId);
-        if (player) {
-            socket.emit('join_success', player);
-            io.emit('state_update', gameState);
+    // Broadcast after a GameState method that returns { success, message }
+    const applyResult = (room, result) => {
+        if (!result.success) return { error: result.message };
+        broadcastState(room);
+    };
+
+    const enterRoom = (room) => {
+        if (socket.data.roomCode && socket.data.roomCode !== room.code) {
+            socket.leave(socket.data.roomCode);
+        }
+        socket.data.roomCode = room.code;
+        socket.join(room.code);
+    };
+
+    // Sent only to the player's own socket - the token is what lets them rejoin later
+    // (spectators get one too, so they can rejoin the same way)
+    const sendSession = (room, player) => {
+        const { id, name, avatar, sessionToken } = player;
+        socket.emit('join_success', { id, name, avatar, sessionToken, roomCode: room.code });
+    };
+
+    const joinRoom = (room, name, avatar, spectate = false) => {
+        let player;
+        if (spectate || !room.canJoinAsPlayer()) {
+            // Mid-game joiners watch this round and are seated at the next one
+            if (!room.canAddSpectator()) return { error: 'Too many people are watching this game' };
+            player = room.addSpectator(socket.id, name, avatar, !spectate);
         } else {
-            socket.emit('rejoin_failed');
+            if (room.isFull()) return { error: 'Room is full' };
+            player = room.addPlayer(socket.id, name, avatar);
         }
+        enterRoom(room);
+        broadcastState(room);
+        sendSession(room, player);
+    };
+
+    on('create_room', ({ name, avatar }) => {
+        const room = rooms.createRoom();
+        return joinRoom(room, name, avatar);
     });
 
-    socket.on('leave_game', () => {
-        gameState.removePlayer(socket.id);
-        io.emit('state_update', gameState);
+    on('join_game', ({ roomCode, name, avatar, spectate }) => {
+        const room = rooms.getRoom(roomCode);
+        if (!room) return { error: 'Room not found' };
+        return joinRoom(room, name, avatar, spectate);
     });
 
-    socket.on('start_game', () => {
-        if (gameState.startGame()) {
-            io.emit('state_update', gameState);
-        }
+    on('rejoin_game', ({ roomCode, playerId, sessionToken }) => {
+        const room = rooms.getRoom(roomCode);
+        const player = room && room.rejoinPlayer(socket.id, playerId, sessionToken);
+        if (!player) return { error: 'That game session has ended' };
+
+        enterRoom(room);
+        sendSession(room, player);
+        broadcastState(room);
+    });
+
+    // Shared screens (the /display TV view) follow a room without being in it.
+    // They aren't a player, so they get the same redacted view as everyone else.
+    on('watch_room', ({ roomCode }) => {
+        const room = rooms.getRoom(roomCode);
+        if (!room) return { error: 'Room not found' };
+
+        enterRoom(room);
+        socket.emit('state_update', buildStateView(room));
+    });
+
+    on('leave_game', () => {
+        const room = getRoom();
+        if (!room) return NOT_IN_GAME;
+
+        room.removePlayer(socket.id);
+        socket.leave(room.code);
+        socket.data.roomCode = null;
+        broadcastState(room);
+        rooms.scheduleCleanup(room.code);
     });
 
     // Helper to find player by socket ID OR by playerId (and heal connection)
+    // Healing needs the player's session token, which the client sends in the connection handshake.
+    // Returns { room, player } or null
     const findActivePlayerOrHeal = (socketId, providedPlayerId) => {
         // 1. Try to find by socket ID (standard)
-        let player = gameState.players.find(p => p.socketId === socketId);
-        if (player) return player;
+        let room = getRoom();
+        let player = room?.players.find(p => p.socketId === socketId);
+        if (player) return { room, player };
 
         // 2. If not found, try to heal using provided playerId
         if (providedPlayerId) {
-            player = gameState.players.find(p => p.id === providedPlayerId);
-            if (player) {
-                console.log(`Connection Healing: Player ${player.name} (${player.id}) rejoined implicitly from new socket ${socketId}`);
-                player.socketId = socketId;
-                player.connected = true;
-                player.disconnectedAt = null; // Clear disconnection time
-                return player;
+            room = room || rooms.findRoomByPlayerId(providedPlayerId);
+            player = room?.players.find(p => p.id === providedPlayerId);
+            if (player && room.verifySession(player, socket.handshake.auth?.sessionToken)) {
+                console.log(`Connection Healing: Player ${player.name} (${player.id}) rejoined room ${room.code} implicitly from new socket ${socketId}`);
+                room.markConnected(player, socketId);
+                enterRoom(room);
+                return { room, player };
             }
         }
         return null;
     };
 
-    socket.on('reveal_answer', ({ playerId } = {}) => {
+    // Same as findActivePlayerOrHeal, but only lets the host through
+    const findHostOrHeal = (socketId, providedPlayerId) => {
+        const active = findActivePlayerOrHeal(socketId, providedPlayerId);
+        if (!active || !active.room.isHost(active.player.id)) return null;
+        return active;
+    };
+
+    on('start_game', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        const { room } = active;
+
+        const result = room.startGame();
+        if (!result.success) return { error: result.message };
+        broadcastState(room);
+    });
+
+    on('reveal_answer', ({ playerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
+
         // Only reader can reveal
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+        if (room.currentRound.readerId !== player.id) return { error: 'Only the reader can reveal answers' };
+        if (!room.revealNextAnswer()) return { error: 'There is nothing left to reveal' };
+        broadcastState(room);
+    });
 
-        if (gameState.currentRound.readerId !== player.id) return;
+    on('send_chat', ({ playerId, text }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.sendChatMessage(active.player.id, text));
+    });
 
-        if (gameState.revealNextAnswer()) {
-            io.emit('state_update', gameState);
-        }
+    on('react_to_answer', ({ playerId, answerId, emoji }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.reactToAnswer(active.player.id, answerId, emoji));
     });
 
-    socket.on('submit_answer', ({ text, playerId }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
+    on('vote_best_answer', ({ playerId, answerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.voteBestAnswer(active.player.id, answerId));
+    });
 
-        if (player && gameState.submitAnswer(player.id, text)) {
-            io.emit('state_update', gameState);
+    on('submit_answer', ({ text, playerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.submitAnswer(active.player.id, text));
+    });
+
+    on('make_guess', ({ targetPlayerId, answerId, playerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
+
+        const result = room.makeGuess(player.id, targetPlayerId, answerId);
+        if (!result.success) return { error: result.message };
+
+        // Tell everyone in the room for toast/feedback
+        io.to(room.code).emit('guess_result', result);
+        broadcastState(room);
+    });
+
+    on('next_round', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        const { room } = active;
+
+        if (room.status === 'ROUND_OVER' || room.status === 'VOTING') {
+            // Skips the pause, or closes voting with whatever votes are in
+            room.finishRound();
+        } else if (room.status === 'READING' || room.status === 'GUESSING') {
+            // Abandon the current round
+            room.nextRound();
+        } else {
+            return { error: 'There is no round to move on from right now' };
         }
+        broadcastState(room);
     });
 
-    socket.on('make_guess', ({ targetPlayerId, answerText, playerId }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    // ========== Player Prompts ==========
 
-        const result = gameState.makeGuess(player.id, targetPlayerId, answerText);
+    on('submit_prompt', ({ playerId, text }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.submitPrompt(active.player.id, text));
+    });
 
-        // Emit result to everyone for toast/feedback
-        io.emit('guess_result', result);
+    on('withdraw_prompt', ({ playerId, promptId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.withdrawPrompt(active.player.id, promptId));
+    });
 
-        if (result.success) {
-            io.emit('state_update', gameState);
+    // ========== Prompt Selection ==========
 
-            if (gameState.status === 'ROUND_OVER') {
-                setTimeout(() => {
-                    // Double check status hasn't been advanced by a manual trigger
-                    if (gameState.status === 'ROUND_OVER') {
-                        gameState.nextRound();
-                        io.emit('state_update', gameState);
-                    }
-                }, 3500);
-            }
-        }
+    on('choose_prompt', ({ playerId, index }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.choosePrompt(active.player.id, index));
+    });
+
+    on('vote_prompt', ({ playerId, index }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.votePrompt(active.player.id, index));
     });
 
-    socket.on('next_round', ({ playerId } = {}) => {
-        // Verify player is in the game (optional, but good for healing)
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    on('reroll_prompts', ({ playerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        return applyResult(active.room, active.room.rerollPrompts(active.player.id));
+    });
+
+    // ========== Host Controls ==========
+
+    on('update_settings', ({ playerId, settings }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        return applyResult(active.room, active.room.updateSettings(settings));
+    });
+
+    on('select_packs', ({ playerId, packIds }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        return applyResult(active.room, active.room.selectPacks(packIds));
+    });
+
+    on('upload_custom_pack', ({ playerId, content, name }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        return applyResult(active.room, active.room.setCustomPack(content, name));
+    });
+
+    on('remove_custom_pack', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        return applyResult(active.room, active.room.removeCustomPack());
+    });
+
+    on('transfer_host', ({ playerId, targetPlayerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
 
-        // Only allow if we aren't already in the writing phase
-        if (gameState.status !== 'WRITING') {
-            gameState.nextRound();
-            io.emit('state_update', gameState);
+        if (!active.room.transferHost(targetPlayerId)) return { error: 'That player is no longer in the game' };
+        broadcastState(active.room);
+    });
+
+    on('kick_player', ({ playerId, targetPlayerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+        if (targetPlayerId === active.player.id) return { error: "You can't kick yourself" };
+        const { room } = active;
+
+        const kicked = room.removePlayerById(targetPlayerId);
+        if (!kicked) return { error: 'That player is no longer in the game' };
+
+        // Detach the kicked player's socket from the room so they stop receiving updates
+        const kickedSocket = io.sockets.sockets.get(kicked.socketId);
+        if (kickedSocket) {
+            kickedSocket.leave(room.code);
+            kickedSocket.data.roomCode = null;
+            kickedSocket.emit('kicked');
         }
+        broadcastState(room);
+    });
+
+    on('skip_reader', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+
+        if (!active.room.skipReader()) return { error: 'There is no reader to skip right now' };
+        broadcastState(active.room);
+    });
+
+    on('force_advance', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+
+        if (!active.room.forceEndWriting()) return { error: 'Need at least 2 answers before moving on' };
+        broadcastState(active.room);
+    });
+
+    on('end_game', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+
+        if (!active.room.endGame()) return { error: 'There is no game in progress' };
+        broadcastState(active.room);
+    });
+
+    on('play_again', ({ playerId }) => {
+        const active = findHostOrHeal(socket.id, playerId);
+        if (!active) return NOT_HOST;
+
+        if (!active.room.resetToLobby()) return { error: 'The game is not over yet' };
+        broadcastState(active.room);
     });
 
     // ========== Minigame Events ==========
 
     // Player joined the waiting minigame
-    socket.on('minigame_join', ({ playerId }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    on('minigame_join', ({ playerId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
 
-        // Broadcast to other players that this player joined the minigame
-        socket.broadcast.emit('minigame_player_joined', {
+        // Broadcast to other players in the room that this player joined the minigame
+        socket.to(room.code).emit('minigame_player_joined', {
             playerId: player.id,
             avatar: player.avatar
         });
 
         // Send current minigame state to the joining player
-        socket.emit('minigame_state', gameState.minigameState);
+        socket.emit('minigame_state', room.minigameState);
     });
 
     // Player launched their avatar in the minigame
-    socket.on('minigame_launch', ({ playerId, angle, power }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    on('minigame_launch', ({ playerId, angle, power }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
 
         // Broadcast to other players so they can simulate the launch
-        socket.broadcast.emit('minigame_launch', {
+        socket.to(room.code).emit('minigame_launch', {
             playerId: player.id,
             angle,
             power
@@ -180,32 +556,34 @@ io.on('connection', (socket) => {
     });
 
     // Player popped a bubble (for potential future scoring/tracking)
-    socket.on('minigame_bubble_popped', ({ playerId, bubbleId }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    on('minigame_bubble_popped', ({ playerId, bubbleId }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
 
         // Record the pop on server state (lenient)
-        const isFirstPop = gameState.recordMinigamePop(player.id, bubbleId);
+        const isFirstPop = room.recordMinigamePop(player.id, bubbleId);
 
         if (isFirstPop) {
             // Broadcast to other players so they remove the same bubble
-            socket.broadcast.emit('minigame_bubble_popped', {
+            socket.to(room.code).emit('minigame_bubble_popped', {
                 playerId: player.id,
                 bubbleId
             });
         }
 
-        // ALWAYS broadcast authoritative scores to everyone
-        io.emit('minigame_scores', gameState.minigameState.popCounts);
+        // ALWAYS broadcast authoritative scores to everyone in the room
+        io.to(room.code).emit('minigame_scores', room.minigameState.popCounts);
     });
 
     // Periodic state synchronization for moving avatars
-    socket.on('minigame_state_sync', ({ playerId, x, y, vx, vy }) => {
-        const player = findActivePlayerOrHeal(socket.id, playerId);
-        if (!player) return;
+    on('minigame_state_sync', ({ playerId, x, y, vx, vy }) => {
+        const active = findActivePlayerOrHeal(socket.id, playerId);
+        if (!active) return NOT_IN_GAME;
+        const { room, player } = active;
 
         // Broadcast current physics state to others for reconciliation
-        socket.broadcast.emit('minigame_state_sync', {
+        socket.to(room.code).emit('minigame_state_sync', {
             playerId: player.id,
             x, y, vx, vy
         });
@@ -215,8 +593,12 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
-        gameState.disconnectPlayer(socket.id);
-        io.emit('state_update', gameState);
+        const room = getRoom();
+        if (!room) return;
+
+        room.disconnectPlayer(socket.id);
+        broadcastState(room);
+        rooms.scheduleCleanup(room.code);
     });
 });
 
@@ -226,6 +608,11 @@ app.get(/^(?!\/api).+/, (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/dist/index.html'));
 });
 
+// Pick up games that were running before a restart; players rejoin with their saved session
+for (const room of rooms.restore()) {
+    broadcastState(room);
+}
+
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
 });
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Prompt packs: JSON files in ./packs ({ name, description, prompts: [...] }), keyed by file name.
+// Hosts can also paste/upload a one-off custom pack for their room.
+
+const PACKS_DIR = path.join(__dirname, 'packs');
+const DEFAULT_PACK_ID = 'classic';
+const CUSTOM_PACK_ID = 'custom';
+
+const MAX_CUSTOM_PROMPTS = 500;
+const MAX_PROMPT_LENGTH = 200;
+const MAX_PACK_NAME_LENGTH = 40;
+
+// Trim, drop blanks/overlong entries and dedupe
+function cleanPrompts(prompts) {
+    const seen = new Set();
+    const cleaned = [];
+    for (const prompt of prompts) {
+        if (typeof prompt !== 'string') continue;
+        const text = prompt.trim();
+        if (!text || text.length > MAX_PROMPT_LENGTH || seen.has(text)) continue;
+        seen.add(text);
+        cleaned.push(text);
+    }
+    return cleaned;
+}
+
+function loadPacks(dir = PACKS_DIR) {
+    const packs = new Map();
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+
+        const id = path.basename(file, '.json');
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const prompts = cleanPrompts(Array.isArray(data.prompts) ? data.prompts : []);
+            if (prompts.length === 0) {
+                console.warn(`Prompt pack ${file} has no prompts, skipping`);
+                continue;
+            }
+            packs.set(id, {
+                id,
+                name: data.name || id,
+                description: data.description || '',
+                prompts
+            });
+        } catch (err) {
+            console.warn(`Failed to load prompt pack ${file}:`, err.message);
+        }
+    }
+    return packs;
+}
+
+const packs = loadPacks();
+
+function getPack(id) {
+    return packs.get(id) || null;
+}
+
+// Summaries for the lobby selector (no prompt text)
+function listPacks() {
+    return [...packs.values()].map(({ id, name, description, prompts }) => ({
+        id,
+        name,
+        description,
+        promptCount: prompts.length
+    }));
+}
+
+// Accepts either JSON (an array of prompts or { name, prompts }) or plain text with one prompt per line.
+// Returns { pack } or { error }.
+function parseCustomPack(content, name) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { error: 'The pack is empty' };
+    }
+
+    let rawPrompts;
+    let packName = typeof name === 'string' ? name.trim() : '';
+    const trimmed = content.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch {
+            return { error: 'That looks like JSON but could not be parsed' };
+        }
+        rawPrompts = Array.isArray(data) ? data : data.prompts;
+        if (!Array.isArray(rawPrompts)) {
+            return { error: 'JSON packs need a "prompts" array' };
+        }
+        if (!packName && typeof data.name === 'string') {
+            packName = data.name.trim();
+        }
+    } else {
+        rawPrompts = trimmed.split(/\r?\n/);
+    }
+
+    const prompts = cleanPrompts(rawPrompts);
+    if (prompts.length === 0) {
+        return { error: 'No usable prompts found' };
+    }
+    if (prompts.length > MAX_CUSTOM_PROMPTS) {
+        return { error: `Custom packs are limited to ${MAX_CUSTOM_PROMPTS} prompts` };
+    }
+
+    return {
+        pack: {
+            id: CUSTOM_PACK_ID,
+            name: (packName || 'Custom Pack').slice(0, MAX_PACK_NAME_LENGTH),
+            description: 'Uploaded by the host',
+            prompts
+        }
+    };
+}
+
+module.exports = { DEFAULT_PACK_ID, CUSTOM_PACK_ID, loadPacks, getPack, listPacks, parseCustomPack };
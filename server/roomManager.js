@@ -0,0 +1,105 @@
+const GameState = require('./gameState');
+const { MemoryStore } = require('./roomStore');
+const { MemoryHistoryStore } = require('./historyStore');
+
+// No I/O/0/1 so codes are easy to read out loud and type on a phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+// How long a room with nobody connected is kept around (lets people refresh / reconnect)
+const EMPTY_ROOM_TTL_MS = 60 * 1000;
+
+class RoomManager {
+    constructor(store = new MemoryStore(), history = new MemoryHistoryStore()) {
+        this.rooms = new Map(); // code -> GameState
+        this.cleanupTimers = new Map(); // code -> timeout handle
+        this.store = store; // persists rooms across restarts (see roomStore.js)
+        this.history = history; // every completed round, across games (see historyStore.js)
+    }
+
+    // Bring back the rooms that were running when the server last stopped
+    restore() {
+        const restored = [];
+        for (const snapshot of this.store.loadAll()) {
+            if (!snapshot?.code || this.rooms.has(snapshot.code)) continue;
+            const room = GameState.fromSnapshot(snapshot);
+            this.rooms.set(room.code, room);
+            restored.push(room);
+            // Nobody is connected yet - drop the room if its players don't come back
+            this.scheduleCleanup(room.code);
+        }
+        if (restored.length > 0) {
+            console.log(`Restored ${restored.length} room(s) from the store`);
+        }
+        return restored;
+    }
+
+    save(room) {
+        if (this.rooms.get(room.code) !== room) return;
+        room.takeCompletedRounds().forEach(record => this.history.append(record));
+        this.store.save(room.code, room.toSnapshot());
+    }
+
+    generateCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    createRoom() {
+        const code = this.generateCode();
+        const room = new GameState(code);
+        this.rooms.set(code, room);
+        console.log(`Room ${code} created (${this.rooms.size} active)`);
+        return room;
+    }
+
+    getRoom(code) {
+        if (typeof code !== 'string') return null;
+        return this.rooms.get(code.trim().toUpperCase()) || null;
+    }
+
+    // Used to heal sockets that lost their room binding (e.g. after a silent reconnect)
+    findRoomByPlayerId(playerId) {
+        if (!playerId) return null;
+        for (const room of this.rooms.values()) {
+            if (room.players.some(p => p.id === playerId)) return room;
+        }
+        return null;
+    }
+
+    isEmpty(room) {
+        return ![...room.players, ...room.spectators].some(p => p.connected);
+    }
+
+    // Tear the room down once it has stayed empty for EMPTY_ROOM_TTL_MS
+    scheduleCleanup(code) {
+        const room = this.rooms.get(code);
+        if (!room || !this.isEmpty(room)) return;
+
+        clearTimeout(this.cleanupTimers.get(code));
+        this.cleanupTimers.set(code, setTimeout(() => {
+            this.cleanupTimers.delete(code);
+            const current = this.rooms.get(code);
+            if (current && this.isEmpty(current)) {
+                this.removeRoom(code);
+            }
+        }, EMPTY_ROOM_TTL_MS));
+    }
+
+    removeRoom(code) {
+        clearTimeout(this.cleanupTimers.get(code));
+        this.cleanupTimers.delete(code);
+        if (this.rooms.delete(code)) {
+            this.store.remove(code);
+            console.log(`Room ${code} torn down (${this.rooms.size} active)`);
+        }
+    }
+}
+
+module.exports = RoomManager;
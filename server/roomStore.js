@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rooms are persisted through a store so a restart doesn't wipe running games.
+// A store is any object with:
+//   loadAll()             -> array of room snapshots (see GameState.toSnapshot)
+//   save(code, snapshot)  -> persist one room
+//   remove(code)          -> forget a room
+// The RoomManager calls save() after every state change, so implementations should be cheap.
+
+// Keeps nothing - games are lost on restart (the old behaviour)
+class MemoryStore {
+    loadAll() {
+        return [];
+    }
+
+    save() {}
+
+    remove() {}
+}
+
+// One JSON file per room under dataDir
+class JsonFileStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    filePath(code) {
+        return path.join(this.dataDir, `${code}.json`);
+    }
+
+    loadAll() {
+        const snapshots = [];
+        for (const file of fs.readdirSync(this.dataDir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                snapshots.push(JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8')));
+            } catch (err) {
+                console.error(`Skipping unreadable room file ${file}:`, err.message);
+            }
+        }
+        return snapshots;
+    }
+
+    save(code, snapshot) {
+        // Write to a temp file and rename so a crash mid-write never leaves a half-written room
+        const target = this.filePath(code);
+        const temp = `${target}.tmp`;
+        try {
+            fs.writeFileSync(temp, JSON.stringify(snapshot));
+            fs.renameSync(temp, target);
+        } catch (err) {
+            console.error(`Failed to save room ${code}:`, err.message);
+        }
+    }
+
+    remove(code) {
+        fs.rmSync(this.filePath(code), { force: true });
+    }
+}
+
+// GAME_STORE=memory turns persistence off; GAME_DATA_DIR moves the JSON files
+function createStore() {
+    if (process.env.GAME_STORE === 'memory') {
+        return new MemoryStore();
+    }
+    return new JsonFileStore(process.env.GAME_DATA_DIR || path.join(__dirname, 'data', 'rooms'));
+}
+
+module.exports = { MemoryStore, JsonFileStore, createStore };
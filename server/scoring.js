@@ -0,0 +1,61 @@
+// Scoring rulesets, picked per room with the scoringMode setting. GameState asks the active
+// strategy who earns what at two moments and applies the result through awardPoints, which
+// also keeps the per-round breakdown the recap shows:
+//   correctGuess(room, guess)  - right after a correct guess
+//   roundOver(room)            - once the round is decided (eliminationOrder is complete)
+// Each returns a list of { playerId, points, reason }.
+//
+// Points that depend on who wrote an answer are only handed out at roundOver, otherwise
+// a live score change would give an author away mid-round.
+
+const DEFAULT_SCORING_MODE = 'classic';
+
+const SCORING_MODES = {
+    classic: {
+        name: 'Classic',
+        description: 'Points for guessing right, plus a bonus for the last answer standing',
+        correctGuess: (room, guess) => [
+            { playerId: guess.guesserId, points: room.settings.pointsPerCorrectGuess, reason: 'correct_guess' }
+        ],
+        roundOver: (room) => {
+            const unguessed = room.currentRound.answers.filter(a => !a.isGuessed);
+            return unguessed.length === 1
+                ? [{ playerId: unguessed[0].playerId, points: room.settings.survivorBonus, reason: 'survivor' }]
+                : [];
+        }
+    },
+
+    fooled: {
+        name: 'Fool the guessers',
+        description: 'Authors score for every wrong guess on their answer and for every player found out before them',
+        correctGuess: (room, guess) => [
+            { playerId: guess.guesserId, points: room.settings.pointsPerCorrectGuess, reason: 'correct_guess' }
+        ],
+        roundOver: (room) => {
+            const round = room.currentRound;
+            const awards = [];
+            round.answers.forEach(answer => {
+                if (answer.wrongGuesses.length > 0) {
+                    awards.push({
+                        playerId: answer.playerId,
+                        points: answer.wrongGuesses.length * room.settings.pointsPerFooledGuess,
+                        reason: 'fooled'
+                    });
+                }
+            });
+            // Position in the elimination order = how many were found out first
+            round.eliminationOrder.forEach((playerId, position) => {
+                if (position > 0) {
+                    awards.push({ playerId, points: position * room.settings.pointsPerOutlasted, reason: 'outlasted' });
+                }
+            });
+            return awards;
+        }
+    }
+};
+
+function getScoringMode(id) {
+    return SCORING_MODES[id] || SCORING_MODES[DEFAULT_SCORING_MODE];
+}
+
+module.exports = { DEFAULT_SCORING_MODE, SCORING_MODES, getScoringMode };
@@ -0,0 +1,88 @@
+// Lobby-configurable game rules. The host edits these before the game starts;
+// everything coming from the client is validated against SETTING_RULES.
+
+const DEFAULT_SETTINGS = {
+    winCondition: 'endless', // 'points' | 'rounds' | 'endless'
+    targetScore: 10, // used when winCondition === 'points'
+    roundLimit: 5, // used when winCondition === 'rounds'
+    pointsPerCorrectGuess: 1,
+    survivorBonus: 1, // awarded to the last player whose answer is never guessed (classic scoring)
+    scoringMode: 'classic', // 'classic' | 'fooled' - see server/scoring.js
+    pointsPerFooledGuess: 1, // 'fooled' scoring: author's points for each wrong guess on their answer
+    pointsPerOutlasted: 1, // 'fooled' scoring: author's points for each player found out before them
+    minPlayers: 3,
+    maxPlayers: 12,
+    answerMaxLength: 200,
+    writingTimeLimit: 0, // seconds, 0 = wait for everyone
+    guessTimeLimit: 0, // seconds per guessing turn, 0 = no limit
+    playerPrompts: false, // players write prompts into a shared queue that's drawn from before the packs
+    promptSelection: 'off', // 'off' | 'reader' (reader picks from a few options) | 'vote' (everyone votes)
+    promptRerolls: 3, // rerolls of the prompt options allowed per game
+    reconnectGracePeriod: 20, // seconds we wait for a disconnected player before skipping them
+    dropDisconnectedAfter: 120, // seconds after disconnecting that a player is removed, 0 = never
+    keepDisconnectedAnswers: true, // a removed player's answer stays in play until the round ends
+    narrator: 'off', // 'off' | 'reader' (reader's phone reads aloud) | 'display' (the /display TV reads aloud)
+    autoRevealInterval: 0, // seconds between answers being revealed automatically, 0 = reader taps to reveal
+    bestAnswerVoting: false, // after each round everyone votes for the funniest answer (not their own)
+    bestAnswerBonus: 1, // points for the author of the best-voted answer (each tied author gets it all)
+    votingTimeLimit: 30 // seconds to vote, 0 = wait for everyone
+};
+
+const SETTING_RULES = {
+    winCondition: { values: ['points', 'rounds', 'endless'] },
+    targetScore: { min: 1, max: 100 },
+    roundLimit: { min: 1, max: 50 },
+    pointsPerCorrectGuess: { min: 0, max: 10 },
+    survivorBonus: { min: 0, max: 10 },
+    scoringMode: { values: ['classic', 'fooled'] },
+    pointsPerFooledGuess: { min: 0, max: 10 },
+    pointsPerOutlasted: { min: 0, max: 10 },
+    minPlayers: { min: 3, max: 20 },
+    maxPlayers: { min: 3, max: 20 },
+    answerMaxLength: { min: 20, max: 500 },
+    writingTimeLimit: { min: 0, max: 600 },
+    guessTimeLimit: { min: 0, max: 300 },
+    playerPrompts: { values: [true, false] },
+    promptSelection: { values: ['off', 'reader', 'vote'] },
+    promptRerolls: { min: 0, max: 10 },
+    reconnectGracePeriod: { min: 5, max: 120 },
+    dropDisconnectedAfter: { min: 0, max: 1800 },
+    keepDisconnectedAnswers: { values: [true, false] },
+    narrator: { values: ['off', 'reader', 'display'] },
+    autoRevealInterval: { min: 0, max: 60 },
+    bestAnswerVoting: { values: [true, false] },
+    bestAnswerBonus: { min: 0, max: 10 },
+    votingTimeLimit: { min: 0, max: 120 }
+};
+
+// Returns { settings } with the changes merged over `current`, or { error } describing the first bad value
+function validateSettings(current, changes) {
+    if (!changes || typeof changes !== 'object') {
+        return { error: 'Settings must be an object' };
+    }
+
+    const settings = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+        const rule = SETTING_RULES[key];
+        if (!rule) {
+            return { error: `Unknown setting: ${key}` };
+        }
+
+        if (rule.values) {
+            if (!rule.values.includes(value)) {
+                return { error: `${key} must be one of ${rule.values.join(', ')}` };
+            }
+        } else if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+            return { error: `${key} must be a whole number between ${rule.min} and ${rule.max}` };
+        }
+
+        settings[key] = value;
+    }
+
+    if (settings.minPlayers > settings.maxPlayers) {
+        return { error: 'Minimum players cannot be more than maximum players' };
+    }
+    return { settings };
+}
+
+module.exports = { DEFAULT_SETTINGS, SETTING_RULES, validateSettings };
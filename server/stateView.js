@@ -0,0 +1,95 @@
+// Builds the per-player projection of a GameState that is safe to send to a client.
+// The raw GameState holds secrets (who wrote which answer, draft answers, socket IDs),
+// so it must never be emitted directly.
+
+function buildPlayerView(player, currentRound, status) {
+    return {
+        id: player.id,
+        name: player.name,
+        avatar: player.avatar,
+        score: player.score,
+        connected: player.connected,
+        // Dropped out but still within the grace period - the game is waiting for them
+        reconnecting: !player.connected && !player.away,
+        away: !!player.away,
+        // Only whether they're done - never what they wrote
+        hasSubmitted: status === 'WRITING' && currentRound.answers.some(a => a.playerId === player.id)
+    };
+}
+
+function buildAnswerView(answer, viewerId, status) {
+    // During WRITING the only answer anyone may see is their own draft
+    if (status === 'WRITING') {
+        return answer.playerId === viewerId ? { ...answer } : null;
+    }
+
+    return {
+        id: answer.id, // random, so it says nothing about the author
+        text: answer.isRevealed ? answer.text : null,
+        isRevealed: answer.isRevealed,
+        isGuessed: answer.isGuessed,
+        wrongGuesses: answer.wrongGuesses,
+        reactions: answer.reactions || {}, // emoji -> ids of the players who reacted
+        isMine: answer.playerId === viewerId, // so you can't vote for your own
+        // Author stays hidden until someone guesses it correctly
+        playerId: answer.isGuessed ? answer.playerId : null
+    };
+}
+
+function buildStateView(gameState, viewerId) {
+    const { currentRound, status } = gameState;
+
+    return {
+        code: gameState.code,
+        status,
+        hostId: gameState.hostId,
+        settings: gameState.settings,
+        roundNumber: gameState.roundNumber,
+        rerollsRemaining: gameState.rerollsRemaining,
+        selectedPacks: gameState.selectedPacks,
+        // Prompt text isn't needed client-side (it can be exported via /api/rooms/:code/pack)
+        customPack: gameState.customPack && {
+            name: gameState.customPack.name,
+            promptCount: gameState.customPack.prompts.length
+        },
+        phaseDeadline: gameState.phaseDeadline,
+        serverTime: Date.now(), // lets clients correct for clock skew when counting down
+        players: gameState.players.map(p => buildPlayerView(p, currentRound, status)),
+        spectators: gameState.spectators.map(s => ({
+            id: s.id,
+            name: s.name,
+            avatar: s.avatar,
+            connected: s.connected,
+            joiningNextRound: s.wantsToPlay
+        })),
+        // Queued prompts stay hidden - you only see your own
+        promptQueueCount: gameState.promptQueue.length,
+        myQueuedPrompts: gameState.promptQueue
+            .filter(p => p.authorId === viewerId)
+            .map(({ id, text }) => ({ id, text })),
+        currentRound: {
+            ...currentRound,
+            promptAuthorId: undefined, // revealed in the recap (previousRound)
+            // Best answer votes stay secret until counted - only who has voted, and your own pick
+            bestAnswerVotes: undefined,
+            bestAnswerVoterIds: currentRound.bestAnswerVotes && Object.keys(currentRound.bestAnswerVotes),
+            // Who voting waits for (the same rule the server closes it on)
+            eligibleVoterIds: status === 'VOTING' ? gameState.eligibleVoters().map(p => p.id) : [],
+            myBestAnswerVote: currentRound.bestAnswerVotes?.[viewerId] || null,
+            // Candidates may come from the player queue - don't say whose they are
+            promptOptions: currentRound.promptOptions?.map(o => o.text),
+            answers: currentRound.answers
+                .map(a => buildAnswerView(a, viewerId, status))
+                .filter(Boolean)
+        },
+        chat: gameState.chat,
+        // Finished rounds are fully public (the recap shows every author)
+        previousRound: gameState.previousRound || null,
+        previousRoundEliminationOrder: gameState.previousRoundEliminationOrder,
+        roundHistory: gameState.roundHistory, // every finished round this game, for browsing recaps
+        awards: gameState.awards,
+        hallOfFame: gameState.hallOfFame
+    };
+}
+
+module.exports = { buildStateView };
@@ -0,0 +1,110 @@
+// Cross-game history: the record kept for each completed round, and the lifetime
+// player stats built from those records. Player IDs only live as long as a room, so
+// records and stats are keyed by player name instead.
+
+const { randomUUID } = require('crypto');
+
+const FAVORITE_PROMPT_COUNT = 3;
+
+// Snapshot of a just-finished round (status ROUND_OVER) with everything resolved to names
+function buildRoundRecord(room) {
+    const round = room.currentRound;
+    const nameOf = (playerId) => room.players.find(p => p.id === playerId)?.name || null;
+
+    const scoreDeltas = {};
+    room.players.forEach(p => {
+        scoreDeltas[p.name] = p.score - (room.roundStartScores[p.id] || 0);
+    });
+
+    return {
+        id: randomUUID(),
+        gameId: room.gameId,
+        roomCode: room.code,
+        roundNumber: room.roundNumber,
+        finishedAt: Date.now(),
+        prompt: round.prompt,
+        promptAuthor: nameOf(round.promptAuthorId),
+        players: room.players.map(p => p.name),
+        answers: round.answers.map(a => ({
+            id: a.id,
+            author: nameOf(a.playerId),
+            text: a.text,
+            guessedBy: nameOf(round.guesses.find(g => g.answerId === a.id && g.correct)?.guesserId),
+            reactions: a.reactions || {},
+            votes: round.voteCounts?.[a.id] || 0 // best answer votes (0 when voting is off)
+        })),
+        guesses: round.guesses.map(g => ({
+            guesser: nameOf(g.guesserId),
+            target: nameOf(g.targetId),
+            answerId: g.answerId,
+            correct: g.correct,
+            timestamp: g.timestamp
+        })),
+        eliminationOrder: round.eliminationOrder.map(nameOf),
+        scoreDeltas
+    };
+}
+
+// Lifetime stats per player name, best total score first
+function computePlayerStats(records) {
+    const byName = new Map();
+    const statsFor = (name) => {
+        if (!byName.has(name)) {
+            byName.set(name, {
+                name,
+                games: new Set(),
+                roundsPlayed: 0,
+                guesses: 0,
+                correctGuesses: 0,
+                answersWritten: 0,
+                survivals: 0,
+                points: 0,
+                promptPoints: [] // { prompt, points } per round, for favorite prompts
+            });
+        }
+        return byName.get(name);
+    };
+
+    for (const record of records) {
+        record.players.forEach(name => {
+            const stats = statsFor(name);
+            stats.games.add(record.gameId);
+            stats.roundsPlayed++;
+            const points = record.scoreDeltas[name] || 0;
+            stats.points += points;
+            stats.promptPoints.push({ prompt: record.prompt, points });
+        });
+
+        record.guesses.forEach(g => {
+            if (!g.guesser) return;
+            const stats = statsFor(g.guesser);
+            stats.guesses++;
+            if (g.correct) stats.correctGuesses++;
+        });
+
+        record.answers.forEach(a => {
+            if (!a.author) return; // author left before the round ended
+            const stats = statsFor(a.author);
+            stats.answersWritten++;
+            if (!a.guessedBy) stats.survivals++;
+        });
+    }
+
+    return [...byName.values()]
+        .map(({ games, promptPoints, ...stats }) => ({
+            ...stats,
+            gamesPlayed: games.size,
+            accuracy: stats.guesses ? stats.correctGuesses / stats.guesses : null,
+            survivalRate: stats.answersWritten ? stats.survivals / stats.answersWritten : null,
+            // The prompts they did best on (later rounds win ties)
+            favoritePrompts: promptPoints
+                .map((entry, index) => ({ ...entry, index }))
+                .filter(entry => entry.points > 0)
+                .sort((a, b) => b.points - a.points || b.index - a.index)
+                .slice(0, FAVORITE_PROMPT_COUNT)
+                .map(({ prompt, points }) => ({ prompt, points }))
+        }))
+        .sort((a, b) => b.points - a.points);
+}
+
+module.exports = { buildRoundRecord, computePlayerStats };
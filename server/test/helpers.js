@@ -0,0 +1,44 @@
+// Shared setup for the GameState tests: a started game and a way to play a round through
+const GameState = require('../gameState');
+
+function createGame(playerCount = 3, settings = {}) {
+    const room = new GameState('TEST');
+    const players = [];
+    for (let i = 0; i < playerCount; i++) {
+        players.push(room.addPlayer(`socket-${i}`, `P${i}`, `avatar-${i}`));
+    }
+    room.updateSettings(settings);
+    room.startGame();
+    return { room, players };
+}
+
+function submitAll(room) {
+    room.players.forEach((p, i) => room.submitAnswer(p.id, `answer ${i}`));
+}
+
+function revealAll(room) {
+    while (room.status === 'READING') room.revealNextAnswer();
+}
+
+// Plays guessing until the round is over; with wrongFirst the first guess misses
+function guessOut(room, { wrongFirst = false } = {}) {
+    let missed = !wrongFirst;
+    while (room.status === 'GUESSING') {
+        const guesserId = room.currentRound.guesserId;
+        const answer = room.currentRound.answers.find(a => !a.isGuessed && a.playerId !== guesserId);
+        let target = answer.playerId;
+        if (!missed) {
+            missed = true;
+            target = room.players.find(p => p.id !== answer.playerId && p.id !== guesserId).id;
+        }
+        room.makeGuess(guesserId, target, answer.id);
+    }
+}
+
+function playRound(room, options) {
+    submitAll(room);
+    revealAll(room);
+    guessOut(room, options);
+}
+
+module.exports = { createGame, submitAll, revealAll, guessOut, playRound };
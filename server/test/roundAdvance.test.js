@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, submitAll, revealAll } = require('./helpers');
+
+// Guessing with one correct guess made, so one other author is all that stands between the guesser and the end
+function oneAnswerLeft(settings) {
+    const game = createGame(3, settings);
+    const { room } = game;
+    submitAll(room);
+    revealAll(room);
+
+    const guesserId = room.currentRound.guesserId;
+    const [found, last] = room.currentRound.answers.filter(a => a.playerId !== guesserId);
+    room.makeGuess(guesserId, found.playerId, found.id);
+    assert.strictEqual(room.status, 'GUESSING');
+    return { ...game, lastAuthor: room.players.find(p => p.id === last.playerId) };
+}
+
+// What the server's phase timer does once the deadline has passed
+function runPhaseTimer(room) {
+    assert.ok(room.phaseDeadline, 'expected a phase deadline');
+    room.phaseDeadline = Date.now() - 1;
+    return room.handlePhaseTimeout();
+}
+
+test('a guess that ends the round moves on after the pause', () => {
+    const { room } = oneAnswerLeft();
+    const guesserId = room.currentRound.guesserId;
+    const last = room.currentRound.answers.find(a => !a.isGuessed && a.playerId !== guesserId);
+    room.makeGuess(guesserId, last.playerId, last.id);
+    assert.strictEqual(room.status, 'ROUND_OVER');
+
+    assert.strictEqual(runPhaseTimer(room), true);
+    assert.strictEqual(room.status, 'WRITING');
+    assert.strictEqual(room.roundNumber, 2);
+});
+
+test('kicking the last unguessed author ends the round and the game moves on', () => {
+    const { room, lastAuthor } = oneAnswerLeft();
+    room.removePlayerById(lastAuthor.id);
+    assert.strictEqual(room.status, 'ROUND_OVER');
+
+    assert.strictEqual(runPhaseTimer(room), true);
+    assert.strictEqual(room.status, 'WRITING');
+    assert.strictEqual(room.roundNumber, 2);
+});
+
+test('with voting on, the pause opens the vote', () => {
+    const { room, lastAuthor } = oneAnswerLeft({ bestAnswerVoting: true });
+    room.removePlayerById(lastAuthor.id);
+
+    runPhaseTimer(room);
+    assert.strictEqual(room.status, 'VOTING');
+});
+
+test('dropping a long-disconnected last author ends the round and the game moves on', () => {
+    const { room, lastAuthor } = oneAnswerLeft({ keepDisconnectedAnswers: false });
+    const now = Date.now();
+    lastAuthor.connected = false;
+    lastAuthor.disconnectedAt = now - (room.settings.dropDisconnectedAfter + 1) * 1000;
+
+    const { changed, removed } = room.handleDisconnectTimeouts(now);
+    assert.ok(changed);
+    assert.deepStrictEqual(removed, [lastAuthor]);
+    assert.ok(!room.players.includes(lastAuthor));
+    assert.strictEqual(room.status, 'ROUND_OVER');
+
+    assert.strictEqual(runPhaseTimer(room), true);
+    assert.strictEqual(room.status, 'WRITING');
+    assert.strictEqual(room.roundNumber, 2);
+});
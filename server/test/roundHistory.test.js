@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, submitAll, revealAll, playRound } = require('./helpers');
+
+test('rounds played to the end are archived in the game history', () => {
+    const { room } = createGame(3);
+    playRound(room);
+    assert.strictEqual(room.status, 'ROUND_OVER');
+    room.finishRound();
+
+    assert.strictEqual(room.roundHistory.length, 1);
+    assert.strictEqual(room.previousRound.prompt, room.roundHistory[0].prompt);
+});
+
+test('rounds the host skips mid-way are left out of the history and awards', () => {
+    const { room } = createGame(3);
+    submitAll(room);
+    revealAll(room);
+    assert.strictEqual(room.status, 'GUESSING');
+
+    room.nextRound(); // host abandons the round
+    assert.strictEqual(room.roundHistory.length, 0);
+
+    playRound(room);
+    room.endGame();
+    assert.strictEqual(room.status, 'GAME_OVER');
+    assert.strictEqual(room.roundHistory.length, 1);
+});
+
+test('a game can only be started from the lobby', () => {
+    const { room, players } = createGame(3);
+    playRound(room);
+    const scores = players.map(p => p.score);
+
+    assert.strictEqual(room.startGame().success, false);
+    assert.strictEqual(room.status, 'ROUND_OVER');
+    assert.deepStrictEqual(players.map(p => p.score), scores);
+
+    room.endGame();
+    assert.strictEqual(room.startGame().success, false);
+    assert.strictEqual(room.status, 'GAME_OVER');
+    assert.strictEqual(room.roundHistory.length, 1);
+
+    room.resetToLobby();
+    assert.strictEqual(room.startGame().success, true);
+    assert.strictEqual(room.roundNumber, 1);
+});
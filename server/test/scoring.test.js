@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SETTINGS, validateSettings } = require('../settings');
+const { SCORING_MODES, getScoringMode } = require('../scoring');
+const { createGame, submitAll, revealAll, playRound } = require('./helpers');
+
+// Just enough of a room for the strategies to read
+function fakeRoom(settings, round) {
+    return {
+        settings: { ...DEFAULT_SETTINGS, ...settings },
+        currentRound: { answers: [], eliminationOrder: [], ...round }
+    };
+}
+
+test('unknown scoring modes fall back to classic', () => {
+    assert.strictEqual(getScoringMode('nope'), SCORING_MODES.classic);
+});
+
+test('classic scoring pays the guesser and the last answer standing', () => {
+    const room = fakeRoom({ pointsPerCorrectGuess: 2, survivorBonus: 3 }, {
+        answers: [
+            { playerId: 'a', isGuessed: true },
+            { playerId: 'b', isGuessed: false }
+        ]
+    });
+
+    assert.deepStrictEqual(SCORING_MODES.classic.correctGuess(room, { guesserId: 'c' }), [
+        { playerId: 'c', points: 2, reason: 'correct_guess' }
+    ]);
+    assert.deepStrictEqual(SCORING_MODES.classic.roundOver(room), [
+        { playerId: 'b', points: 3, reason: 'survivor' }
+    ]);
+});
+
+test('fooled scoring pays authors for wrong guesses and for outlasting others', () => {
+    const room = fakeRoom({ pointsPerFooledGuess: 2, pointsPerOutlasted: 3 }, {
+        answers: [
+            { playerId: 'a', wrongGuesses: [] },
+            { playerId: 'b', wrongGuesses: ['x', 'y'] },
+            { playerId: 'c', wrongGuesses: ['z'] }
+        ],
+        eliminationOrder: ['a', 'b', 'c']
+    });
+
+    assert.deepStrictEqual(SCORING_MODES.fooled.roundOver(room), [
+        { playerId: 'b', points: 4, reason: 'fooled' },
+        { playerId: 'c', points: 2, reason: 'fooled' },
+        { playerId: 'b', points: 3, reason: 'outlasted' },
+        { playerId: 'c', points: 6, reason: 'outlasted' }
+    ]);
+});
+
+test('fooled scoring keeps author points back until the round is over', () => {
+    const { room } = createGame(4, { scoringMode: 'fooled' });
+    submitAll(room);
+    revealAll(room);
+
+    const guesserId = room.currentRound.guesserId;
+    const answer = room.currentRound.answers.find(a => a.playerId !== guesserId);
+    const wrongTarget = room.players.find(p => p.id !== guesserId && p.id !== answer.playerId).id;
+    room.makeGuess(guesserId, wrongTarget, answer.id);
+
+    assert.ok(room.players.every(p => p.score === 0));
+    assert.deepStrictEqual(room.currentRound.scoreBreakdown, []);
+});
+
+test('the round breakdown adds up to the score changes', () => {
+    const { room } = createGame(3, { scoringMode: 'fooled' });
+    playRound(room, { wrongFirst: true });
+    assert.strictEqual(room.status, 'ROUND_OVER');
+
+    room.players.forEach(p => {
+        const earned = room.currentRound.scoreBreakdown
+            .filter(b => b.playerId === p.id)
+            .reduce((sum, b) => sum + b.points, 0);
+        assert.strictEqual(earned, p.score);
+    });
+    assert.ok(room.currentRound.scoreBreakdown.some(b => b.reason === 'fooled'));
+});
+
+test('pointsPerOutlasted is validated like the other point settings', () => {
+    assert.ok(validateSettings(DEFAULT_SETTINGS, { pointsPerOutlasted: 11 }).error);
+    assert.ok(validateSettings(DEFAULT_SETTINGS, { pointsPerOutlasted: 1.5 }).error);
+    assert.strictEqual(validateSettings(DEFAULT_SETTINGS, { pointsPerOutlasted: 0 }).settings.pointsPerOutlasted, 0);
+});
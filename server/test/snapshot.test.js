@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameState = require('../gameState');
+const { createGame, submitAll, revealAll } = require('./helpers');
+
+// What the room store writes to disk and reads back
+const saveAndRestore = (room) => GameState.fromSnapshot(JSON.parse(JSON.stringify(room.toSnapshot())));
+
+test('a restored room picks up where it left off', () => {
+    const { room, players } = createGame(3);
+    submitAll(room);
+    revealAll(room);
+
+    const restored = saveAndRestore(room);
+    assert.strictEqual(restored.status, 'GUESSING');
+    assert.strictEqual(restored.gameId, room.gameId);
+    assert.deepStrictEqual(restored.currentRound.answers.map(a => a.text), room.currentRound.answers.map(a => a.text));
+    assert.deepStrictEqual([...restored.usedPrompts], [...room.usedPrompts]);
+    assert.ok(restored.verifySession(restored.players[0], players[0].sessionToken));
+});
+
+test('everyone is offline after a restore until they rejoin', () => {
+    const { room } = createGame(3);
+    const restored = saveAndRestore(room);
+
+    restored.players.forEach(p => {
+        assert.strictEqual(p.connected, false);
+        assert.strictEqual(p.socketId, null);
+        assert.ok(p.disconnectedAt);
+    });
+});
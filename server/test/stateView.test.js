@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildStateView } = require('../stateView');
+const { createGame, submitAll, revealAll, playRound } = require('./helpers');
+
+test('player views never carry session tokens or socket ids', () => {
+    const { room, players } = createGame(3);
+    const json = JSON.stringify(buildStateView(room, players[0].id));
+
+    players.forEach(p => {
+        assert.ok(!json.includes(p.sessionToken));
+        assert.ok(!json.includes(p.socketId));
+    });
+});
+
+test('while writing you only see your own answer', () => {
+    const { room, players } = createGame(3);
+    room.submitAnswer(players[0].id, 'mine');
+    room.submitAnswer(players[1].id, 'theirs');
+
+    const view = buildStateView(room, players[0].id);
+    assert.deepStrictEqual(view.currentRound.answers.map(a => a.text), ['mine']);
+    assert.deepStrictEqual(view.players.map(p => p.hasSubmitted), [true, true, false]);
+});
+
+test('answers hide their text until revealed and their author until guessed', () => {
+    const { room, players } = createGame(3);
+    submitAll(room);
+    room.revealNextAnswer();
+
+    const [revealed, hidden] = buildStateView(room, players[0].id).currentRound.answers;
+    assert.ok(revealed.text);
+    assert.strictEqual(hidden.text, null);
+    assert.strictEqual(revealed.playerId, null);
+
+    revealAll(room);
+    const guesserId = room.currentRound.guesserId;
+    const answer = room.currentRound.answers.find(a => a.playerId !== guesserId);
+    room.makeGuess(guesserId, answer.playerId, answer.id);
+
+    const guessed = buildStateView(room, players[0].id).currentRound.answers.find(a => a.id === answer.id);
+    assert.strictEqual(guessed.playerId, answer.playerId);
+});
+
+test('each viewer is told which answer is theirs and nothing more', () => {
+    const { room, players } = createGame(3);
+    submitAll(room);
+    revealAll(room);
+
+    const view = buildStateView(room, players[1].id);
+    const mine = view.currentRound.answers.filter(a => a.isMine);
+    assert.strictEqual(mine.length, 1);
+    assert.strictEqual(mine[0].id, room.currentRound.answers.find(a => a.playerId === players[1].id).id);
+    assert.strictEqual(view.currentRound.promptAuthorId, undefined);
+});
+
+test('best answer votes stay secret until counted', () => {
+    const { room, players } = createGame(3, { bestAnswerVoting: true });
+    playRound(room);
+    room.finishRound();
+    const target = room.currentRound.answers.find(a => a.playerId === players[1].id);
+    room.voteBestAnswer(players[0].id, target.id);
+
+    const voterView = buildStateView(room, players[0].id).currentRound;
+    const otherView = buildStateView(room, players[2].id).currentRound;
+    assert.strictEqual(voterView.bestAnswerVotes, undefined);
+    assert.deepStrictEqual(voterView.bestAnswerVoterIds, [players[0].id]);
+    assert.strictEqual(voterView.myBestAnswerVote, target.id);
+    assert.strictEqual(otherView.myBestAnswerVote, null);
+});
+
+test('the vote counter waits on the same players the server does', () => {
+    const { room, players } = createGame(4, { bestAnswerVoting: true });
+    playRound(room);
+    room.finishRound();
+    players[3].connected = false;
+    room.markAway(players[3]);
+
+    const view = buildStateView(room, players[0].id).currentRound;
+    assert.deepStrictEqual(view.eligibleVoterIds, players.slice(0, 3).map(p => p.id));
+});
+
+test('queued prompts are only shown to their author', () => {
+    const { room, players } = createGame(3, { playerPrompts: true });
+    room.promptQueue.push({ id: 'q1', text: 'Things that are secret', authorId: players[0].id });
+
+    assert.deepStrictEqual(buildStateView(room, players[0].id).myQueuedPrompts, [{ id: 'q1', text: 'Things that are secret' }]);
+    const otherView = buildStateView(room, players[1].id);
+    assert.deepStrictEqual(otherView.myQueuedPrompts, []);
+    assert.strictEqual(otherView.promptQueueCount, 1);
+    assert.ok(!JSON.stringify(otherView).includes('Things that are secret'));
+});
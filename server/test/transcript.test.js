@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTranscript, toMarkdown } = require('../transcript');
+const { createGame, submitAll, revealAll, playRound } = require('./helpers');
+
+test('transcript rounds keep their game round numbers when one was skipped', () => {
+    const { room } = createGame(3);
+    playRound(room);
+    room.finishRound(); // round 1 played, on to round 2
+
+    submitAll(room);
+    revealAll(room);
+    room.nextRound(); // host skips round 2
+
+    playRound(room); // round 3 is over but not archived yet
+    assert.strictEqual(room.status, 'ROUND_OVER');
+
+    const transcript = buildTranscript(room);
+    assert.deepStrictEqual(transcript.rounds.map(r => r.number), [1, 3]);
+    assert.match(toMarkdown(transcript), /## Round 3: /);
+});
+
+test('transcripts list each answer with its author', () => {
+    const { room, players } = createGame(3);
+    playRound(room);
+
+    const [round] = buildTranscript(room).rounds;
+    assert.deepStrictEqual(
+        round.answers.map(a => [a.author, a.text]).sort(),
+        players.map((p, i) => [p.name, `answer ${i}`])
+    );
+});
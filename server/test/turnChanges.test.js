@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, submitAll, revealAll } = require('./helpers');
+
+function startGuessing(playerCount, settings) {
+    const game = createGame(playerCount, settings);
+    submitAll(game.room);
+    revealAll(game.room);
+    return game;
+}
+
+test('a wrong guess records the turn passing', () => {
+    const { room } = startGuessing(4);
+    const guesserId = room.currentRound.guesserId;
+    const answer = room.currentRound.answers.find(a => a.playerId !== guesserId);
+    const wrongTarget = room.players.find(p => p.id !== guesserId && p.id !== answer.playerId).id;
+
+    room.makeGuess(guesserId, wrongTarget, answer.id);
+
+    assert.deepStrictEqual(
+        room.currentRound.turnChanges.map(({ fromId, toId, reason }) => ({ fromId, toId, reason })),
+        [{ fromId: guesserId, toId: room.currentRound.guesserId, reason: 'wrong' }]
+    );
+});
+
+test('a correct guess keeps the turn and records nothing', () => {
+    const { room } = startGuessing(4);
+    const guesserId = room.currentRound.guesserId;
+    const answer = room.currentRound.answers.find(a => a.playerId !== guesserId);
+
+    room.makeGuess(guesserId, answer.playerId, answer.id);
+
+    assert.strictEqual(room.currentRound.guesserId, guesserId);
+    assert.deepStrictEqual(room.currentRound.turnChanges, []);
+});
+
+test('running out of time records a timeout', () => {
+    const { room } = startGuessing(4, { guessTimeLimit: 30 });
+    const guesserId = room.currentRound.guesserId;
+    room.phaseDeadline = Date.now() - 1;
+
+    assert.strictEqual(room.handlePhaseTimeout(), true);
+    const [change] = room.currentRound.turnChanges;
+    assert.strictEqual(change.fromId, guesserId);
+    assert.strictEqual(change.toId, room.currentRound.guesserId);
+    assert.strictEqual(change.reason, 'timeout');
+});
+
+test('the guesser leaving records the turn passing', () => {
+    const { room } = startGuessing(4);
+    const guesserId = room.currentRound.guesserId;
+
+    room.removePlayerById(guesserId);
+
+    const [change] = room.currentRound.turnChanges;
+    assert.strictEqual(change.fromId, guesserId);
+    assert.strictEqual(change.reason, 'left');
+    assert.notStrictEqual(change.toId, guesserId);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameState = require('../gameState');
+
+function roomWithPlayers(count) {
+    const room = new GameState('TEST');
+    const players = [];
+    for (let i = 0; i < count; i++) {
+        players.push(room.addPlayer(`socket-${i}`, `P${i}`, `avatar-${i}`));
+    }
+    return { room, players };
+}
+
+test('the first guesser skips players who are away', () => {
+    const { room, players } = roomWithPlayers(4);
+    // P1 would normally guess first (right after the reader, P0)
+    players[1].connected = false;
+    players[1].away = true;
+
+    room.startGame();
+    assert.strictEqual(room.currentRound.readerId, players[0].id);
+    assert.strictEqual(room.currentRound.guesserId, players[2].id);
+});
+
+test('the elimination-order fallback also skips players who are away', () => {
+    const { room, players } = roomWithPlayers(4);
+    room.startGame();
+    // Nobody from last round's order is still around, so we fall back to seating order
+    room.currentRound.eliminationOrder = ['gone-1', 'gone-2'];
+    players[2].connected = false;
+    players[2].away = true;
+
+    room.nextRound();
+    assert.strictEqual(room.currentRound.readerId, players[1].id);
+    assert.strictEqual(room.currentRound.guesserId, players[3].id);
+});
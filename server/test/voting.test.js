@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, playRound } = require('./helpers');
+
+// A played round with best answer voting open
+function openVoting(playerCount, settings = {}) {
+    const game = createGame(playerCount, { bestAnswerVoting: true, bestAnswerBonus: 2, ...settings });
+    playRound(game.room);
+    game.room.finishRound();
+    assert.strictEqual(game.room.status, 'VOTING');
+    return game;
+}
+
+const answerOf = (round, player) => round.answers.find(a => a.playerId === player.id);
+
+test('votes are tallied and the winner gets the bonus once everyone has voted', () => {
+    const { room, players } = openVoting(3);
+    const [p0, p1, p2] = players;
+    const scoresBefore = players.map(p => p.score);
+
+    assert.strictEqual(room.voteBestAnswer(p0.id, answerOf(room.currentRound, p2).id).success, true);
+    assert.strictEqual(room.voteBestAnswer(p1.id, answerOf(room.currentRound, p2).id).success, true);
+    assert.strictEqual(room.status, 'VOTING');
+    room.voteBestAnswer(p2.id, answerOf(room.currentRound, p0).id);
+
+    // Last vote closed it and moved on to the next round
+    assert.strictEqual(room.status, 'WRITING');
+    const round = room.previousRound;
+    assert.deepStrictEqual(round.voteCounts, { [answerOf(round, p2).id]: 2, [answerOf(round, p0).id]: 1 });
+    assert.deepStrictEqual(round.bestAnswerIds, [answerOf(round, p2).id]);
+    assert.strictEqual(round.bestAnswerVotes, undefined);
+    assert.strictEqual(p2.score - scoresBefore[2], 2);
+    assert.strictEqual(p0.score, scoresBefore[0]);
+    assert.deepStrictEqual(room.hallOfFame.map(e => [e.playerId, e.votes]), [[p2.id, 2]]);
+});
+
+test('every tied answer gets the full bonus', () => {
+    const { room, players } = openVoting(4);
+    const [p0, p1, p2, p3] = players;
+    const scoresBefore = players.map(p => p.score);
+
+    room.voteBestAnswer(p0.id, answerOf(room.currentRound, p1).id);
+    room.voteBestAnswer(p1.id, answerOf(room.currentRound, p0).id);
+    room.voteBestAnswer(p2.id, answerOf(room.currentRound, p1).id);
+    room.voteBestAnswer(p3.id, answerOf(room.currentRound, p0).id);
+
+    assert.strictEqual(room.previousRound.bestAnswerIds.length, 2);
+    assert.strictEqual(p0.score - scoresBefore[0], 2);
+    assert.strictEqual(p1.score - scoresBefore[1], 2);
+    assert.strictEqual(p2.score, scoresBefore[2]);
+});
+
+test('players cannot vote for their own answer', () => {
+    const { room, players } = openVoting(3);
+    const result = room.voteBestAnswer(players[0].id, answerOf(room.currentRound, players[0]).id);
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(room.currentRound.bestAnswerVotes, {});
+});
+
+test('votes for answers that are gone are not counted', () => {
+    const { room, players } = openVoting(3);
+    room.currentRound.bestAnswerVotes = { [players[0].id]: 'no-such-answer' };
+    room.closeVoting();
+    assert.deepStrictEqual(room.currentRound.voteCounts, {});
+    assert.deepStrictEqual(room.currentRound.bestAnswerIds, []);
+});
+
+test('the last player leaving during the vote does not crash', () => {
+    const { room, players } = openVoting(3);
+    assert.doesNotThrow(() => {
+        players.forEach(p => room.removePlayerById(p.id));
+    });
+    assert.strictEqual(room.players.length, 0);
+});
+
+test('starting a round in an empty room does nothing', () => {
+    const { room, players } = createGame(3);
+    players.forEach(p => room.removePlayerById(p.id));
+    assert.doesNotThrow(() => room.nextRound());
+});
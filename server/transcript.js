@@ -0,0 +1,135 @@
+// Game transcripts for "Save this game": every finished round of a room's current game
+// (prompt, answers with authors, how the guessing went) plus the scores, rendered as
+// JSON, Markdown or a printable HTML page. Built from GameState.roundHistory, which
+// is already public - the recap shows all of it.
+
+const FORMATS = ['json', 'md', 'html'];
+const LEFT_PLAYER = 'Someone who left';
+
+// Rounds that are over but not archived yet still belong in the transcript
+function finishedRounds(room) {
+    const rounds = [...room.roundHistory];
+    if (room.status === 'ROUND_OVER' && room.currentRound.prompt) {
+        rounds.push({ ...room.currentRound, roundNumber: room.roundNumber });
+    }
+    return rounds;
+}
+
+function buildTranscript(room) {
+    const nameOf = (playerId) => room.players.find(p => p.id === playerId)?.name || LEFT_PLAYER;
+
+    return {
+        roomCode: room.code,
+        gameId: room.gameId,
+        exportedAt: new Date().toISOString(),
+        finished: room.status === 'GAME_OVER',
+        rounds: finishedRounds(room).map(round => ({
+            number: round.roundNumber,
+            prompt: round.prompt,
+            promptAuthor: round.promptAuthorId ? nameOf(round.promptAuthorId) : null,
+            answers: round.answers.map(a => {
+                const correctGuess = round.guesses.find(g => g.answerId === a.id && g.correct);
+                return {
+                    author: nameOf(a.playerId),
+                    text: a.text,
+                    votes: round.voteCounts?.[a.id] || 0, // best answer votes (0 when voting is off)
+                    bestAnswer: !!round.bestAnswerIds?.includes(a.id),
+                    guessedBy: correctGuess ? nameOf(correctGuess.guesserId) : null,
+                    wrongGuesses: round.guesses
+                        .filter(g => g.answerId === a.id && !g.correct)
+                        .map(g => ({ guesser: nameOf(g.guesserId), guessed: nameOf(g.targetId) }))
+                };
+            }),
+            eliminationOrder: round.eliminationOrder.map(nameOf)
+        })),
+        scores: [...room.players]
+            .sort((a, b) => b.score - a.score)
+            .map(p => ({ name: p.name, score: p.score }))
+    };
+}
+
+function describeOutcome(answer) {
+    if (answer.guessedBy) return `guessed by ${answer.guessedBy}`;
+    return answer.wrongGuesses.length > 0 ? 'never found out' : 'survived untouched';
+}
+
+function toMarkdown(transcript) {
+    const lines = [`# Who Said Dis? - room ${transcript.roomCode}`, ''];
+
+    transcript.rounds.forEach(round => {
+        lines.push(`## Round ${round.number}: ${round.prompt}`);
+        if (round.promptAuthor) lines.push(`_Prompt by ${round.promptAuthor}_`);
+        lines.push('');
+        round.answers.forEach(a => {
+            lines.push(`- ${a.bestAnswer ? '⭐ ' : ''}**${a.author}**: "${a.text}" - ${describeOutcome(a)}`);
+            a.wrongGuesses.forEach(wg => {
+                lines.push(`  - ${wg.guesser} thought it was ${wg.guessed}`);
+            });
+        });
+        lines.push('');
+    });
+
+    lines.push(transcript.finished ? '## Final scores' : '## Scores so far', '');
+    transcript.scores.forEach((s, index) => {
+        lines.push(`${index + 1}. ${s.name} - ${s.score}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toHtml(transcript) {
+    const rounds = transcript.rounds.map(round => `
+    <section>
+        <h2>Round ${round.number}: ${escapeHtml(round.prompt)}</h2>
+        ${round.promptAuthor ? `<p class="muted">Prompt by ${escapeHtml(round.promptAuthor)}</p>` : ''}
+        <ul>
+            ${round.answers.map(a => `
+            <li>
+                ${a.bestAnswer ? '&#11088; ' : ''}<strong>${escapeHtml(a.author)}</strong>: &ldquo;${escapeHtml(a.text)}&rdquo;
+                <span class="muted">- ${escapeHtml(describeOutcome(a))}</span>
+                ${a.wrongGuesses.length > 0 ? `<br><span class="muted">Wrong guesses: ${a.wrongGuesses
+                    .map(wg => `${escapeHtml(wg.guesser)} (said ${escapeHtml(wg.guessed)})`).join(', ')}</span>` : ''}
+            </li>`).join('')}
+        </ul>
+    </section>`).join('');
+
+    const scores = transcript.scores
+        .map(s => `<li>${escapeHtml(s.name)} - ${s.score}</li>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Who Said Dis? - room ${escapeHtml(transcript.roomCode)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #111; }
+        section { break-inside: avoid; border-top: 1px solid #ddd; padding-top: 0.5rem; }
+        li { margin: 0.4rem 0; }
+        .muted { color: #666; font-size: 0.9em; }
+        @media print { button { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>Who Said Dis? - room ${escapeHtml(transcript.roomCode)}</h1>
+    <p class="muted">Saved ${escapeHtml(new Date(transcript.exportedAt).toUTCString())}</p>
+    <button onclick="window.print()">Print</button>
+    ${rounds}
+    <section>
+        <h2>${transcript.finished ? 'Final scores' : 'Scores so far'}</h2>
+        <ol>${scores}</ol>
+    </section>
+</body>
+</html>
+`;
+}
+
+module.exports = { FORMATS, buildTranscript, toMarkdown, toHtml };
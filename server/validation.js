@@ -0,0 +1,183 @@
+// Payload schemas and rate limits for every socket event. index.js runs each incoming
+// payload through validatePayload() before the handler sees it, so handlers only ever get
+// known fields of the right type, with strings trimmed and capped.
+
+const MAX_NAME_LENGTH = 12;
+const MAX_ANSWER_LENGTH = 500; // hard cap - the room's answerMaxLength setting is checked in GameState
+const MAX_PROMPT_LENGTH = 200;
+const MAX_PACK_LENGTH = 100000;
+const MAX_CHAT_LENGTH = 200;
+
+// Field rules:
+//   string:  { type: 'string', required, max, trim (default true) }
+//   integer: { type: 'integer', required, min, max }
+//   number:  { type: 'number', required } - any finite number
+//   boolean / object: { type, required }
+//   array:   { type: 'array', required, maxItems, items: <string rule> }
+const id = { type: 'string', max: 64 };
+const requiredId = { ...id, required: true };
+const playerOnly = { playerId: id };
+
+const EVENT_SCHEMAS = {
+    create_room: {
+        name: { type: 'string', required: true, max: MAX_NAME_LENGTH },
+        avatar: { type: 'string', max: 32 }
+    },
+    join_game: {
+        roomCode: { type: 'string', required: true, max: 8 },
+        name: { type: 'string', required: true, max: MAX_NAME_LENGTH },
+        avatar: { type: 'string', max: 32 },
+        spectate: { type: 'boolean' } // "just watch" - join without ever taking a seat
+    },
+    rejoin_game: {
+        roomCode: { type: 'string', required: true, max: 8 },
+        playerId: requiredId,
+        sessionToken: { type: 'string', required: true, max: 128 }
+    },
+    leave_game: {},
+    watch_room: { roomCode: { type: 'string', required: true, max: 8 } },
+
+    start_game: playerOnly,
+    reveal_answer: playerOnly,
+    submit_answer: { playerId: id, text: { type: 'string', required: true, max: MAX_ANSWER_LENGTH } },
+    make_guess: {
+        playerId: id,
+        targetPlayerId: requiredId,
+        answerId: requiredId
+    },
+    next_round: playerOnly,
+
+    submit_prompt: { playerId: id, text: { type: 'string', required: true, max: MAX_PROMPT_LENGTH } },
+    withdraw_prompt: { playerId: id, promptId: requiredId },
+    choose_prompt: { playerId: id, index: { type: 'integer', required: true, min: 0, max: 9 } },
+    vote_prompt: { playerId: id, index: { type: 'integer', required: true, min: 0, max: 9 } },
+    reroll_prompts: playerOnly,
+
+    send_chat: { playerId: id, text: { type: 'string', required: true, max: MAX_CHAT_LENGTH } },
+    react_to_answer: { playerId: id, answerId: requiredId, emoji: { type: 'string', required: true, max: 8 } },
+    vote_best_answer: { playerId: id, answerId: requiredId },
+
+    update_settings: { playerId: id, settings: { type: 'object', required: true } },
+    select_packs: { playerId: id, packIds: { type: 'array', required: true, maxItems: 20, items: id } },
+    upload_custom_pack: {
+        playerId: id,
+        content: { type: 'string', required: true, max: MAX_PACK_LENGTH },
+        name: { type: 'string', max: 40 }
+    },
+    remove_custom_pack: playerOnly,
+    transfer_host: { playerId: id, targetPlayerId: requiredId },
+    kick_player: { playerId: id, targetPlayerId: requiredId },
+    skip_reader: playerOnly,
+    force_advance: playerOnly,
+    end_game: playerOnly,
+    play_again: playerOnly,
+
+    minigame_join: playerOnly,
+    minigame_launch: { playerId: id, angle: { type: 'number', required: true }, power: { type: 'number', required: true } },
+    minigame_bubble_popped: { playerId: id, bubbleId: { type: 'integer', required: true, min: 0, max: 1000 } },
+    minigame_state_sync: {
+        playerId: id,
+        x: { type: 'number', required: true },
+        y: { type: 'number', required: true },
+        vx: { type: 'number', required: true },
+        vy: { type: 'number', required: true }
+    }
+};
+
+// Per socket, per event: at most `limit` calls every `windowMs`
+const DEFAULT_RATE_LIMIT = { limit: 10, windowMs: 1000 };
+const RATE_LIMITS = {
+    create_room: { limit: 3, windowMs: 10000 },
+    join_game: { limit: 5, windowMs: 10000 },
+    rejoin_game: { limit: 5, windowMs: 10000 },
+    watch_room: { limit: 5, windowMs: 10000 },
+    submit_prompt: { limit: 5, windowMs: 10000 },
+    send_chat: { limit: 5, windowMs: 5000 },
+    upload_custom_pack: { limit: 3, windowMs: 10000 },
+    minigame_launch: { limit: 3, windowMs: 1000 },
+    minigame_state_sync: { limit: 5, windowMs: 1000 }, // clients sync every 500ms
+    minigame_bubble_popped: { limit: 20, windowMs: 1000 }
+};
+
+// Returns { value } (or { error }) for a single field
+function validateField(key, rule, raw) {
+    if (raw === undefined || raw === null || raw === '') {
+        return rule.required ? { error: `${key} is required` } : { value: undefined };
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string') return { error: `${key} must be a string` };
+            const value = rule.trim === false ? raw : raw.trim();
+            if (rule.required && !value) return { error: `${key} is required` };
+            if (rule.max && value.length > rule.max) return { error: `${key} must be at most ${rule.max} characters` };
+            return { value };
+        }
+        case 'integer':
+            if (!Number.isInteger(raw) || raw < rule.min || raw > rule.max) {
+                return { error: `${key} must be a whole number between ${rule.min} and ${rule.max}` };
+            }
+            return { value: raw };
+        case 'number':
+            if (typeof raw !== 'number' || !Number.isFinite(raw)) return { error: `${key} must be a number` };
+            return { value: raw };
+        case 'boolean':
+            if (typeof raw !== 'boolean') return { error: `${key} must be true or false` };
+            return { value: raw };
+        case 'object':
+            if (typeof raw !== 'object' || Array.isArray(raw)) return { error: `${key} must be an object` };
+            return { value: raw };
+        case 'array': {
+            if (!Array.isArray(raw)) return { error: `${key} must be a list` };
+            if (raw.length > rule.maxItems) return { error: `${key} can have at most ${rule.maxItems} items` };
+            const value = [];
+            for (const item of raw) {
+                const result = validateField(`${key} item`, { ...rule.items, required: true }, item);
+                if (result.error) return result;
+                value.push(result.value);
+            }
+            return { value };
+        }
+        default:
+            return { error: `${key} has an unknown type` };
+    }
+}
+
+// Returns { value } with only the schema's fields (trimmed/checked), or { error } for the first bad field
+function validatePayload(event, payload) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return { error: `Unknown event: ${event}` };
+
+    if (payload === undefined || payload === null) payload = {};
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: 'Payload must be an object' };
+    }
+
+    const value = {};
+    for (const [key, rule] of Object.entries(schema)) {
+        const result = validateField(key, rule, payload[key]);
+        if (result.error) return { error: result.error };
+        if (result.value !== undefined) value[key] = result.value;
+    }
+    return { value };
+}
+
+// Fixed-window counters for one socket
+class RateLimiter {
+    constructor() {
+        this.windows = new Map(); // event -> { start, count }
+    }
+
+    allow(event, now = Date.now()) {
+        const { limit, windowMs } = RATE_LIMITS[event] || DEFAULT_RATE_LIMIT;
+        const window = this.windows.get(event);
+        if (!window || now - window.start >= windowMs) {
+            this.windows.set(event, { start: now, count: 1 });
+            return true;
+        }
+        window.count++;
+        return window.count <= limit;
+    }
+}
+
+module.exports = { EVENT_SCHEMAS, RATE_LIMITS, validatePayload, RateLimiter };